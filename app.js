@@ -1,13 +1,36 @@
+const TM_OUTCOME_LABELS = {
+  accept: "Aceptada",
+  reject: "Rechazada",
+  halt: "Detenida sin transición",
+  limit: "Límite de pasos excedido",
+  loop: "Bucle detectado",
+};
+// Pasos que conserva el historial de la MT; los más antiguos ya no se pueden deshacer.
+const TM_TRACE_LIMIT = 100000;
+
+function hashString(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash;
+}
+
 class MultiTapeTuringMachine {
   constructor(definition, inputTapes, blankSymbol = "#", initialSymbol = ">") {
     this.states = definition.states;
     this.startState = definition.startState;
     this.acceptStates = definition.acceptStates;
+    this.rejectStates = definition.rejectStates || new Set();
     this.transitions = definition.transitions;
     this.tapeCount = definition.tapeCount;
     this.blankSymbol = blankSymbol;
     this.initialSymbol = initialSymbol;
     this.initialTapes = inputTapes.map((tape) => [...tape]);
+    this.branch = null;
+    this.stepLimit = Infinity;
+    this.detectLoops = false;
     this.reset(inputTapes);
   }
 
@@ -16,17 +39,61 @@ class MultiTapeTuringMachine {
     this.stepCount = 0;
     this.halted = false;
     this.haltReason = "";
+    this.outcome = null;
     this.lastTransitionKey = null;
+    this.trace = [];
+    this.traceStart = 0;
+    this.loopStart = null;
     this.heads = Array(this.tapeCount).fill(0);
     this.tapes = Array.from({ length: this.tapeCount }, () => new Map());
+    this.tapeHash = [0, 0];
 
     inputTapes.forEach((symbols, tapeIndex) => {
       symbols.forEach((symbol, pos) => {
         if (symbol !== this.blankSymbol) {
           this.tapes[tapeIndex].set(pos, symbol);
+          this.toggleCellHash(tapeIndex, pos, symbol);
         }
       });
     });
+    this.configIndex = new Map([[this.configurationKey(), 0]]);
+  }
+
+  // Hash incremental del contenido de las cintas: cada celda no vacía aporta por XOR.
+  toggleCellHash(tapeIndex, pos, symbol) {
+    const cell = `${tapeIndex}:${pos}:${symbol}`;
+    this.tapeHash[0] ^= hashString(cell, 2166136261);
+    this.tapeHash[1] ^= hashString(cell, 3735928559);
+  }
+
+  configurationKey() {
+    return `${this.currentState}|${this.heads.join(",")}|${this.tapeHash[0]}|${this.tapeHash[1]}`;
+  }
+
+  // Confirma que las cintas actuales coinciden exactamente con las del paso indicado.
+  sameTapesAsStep(step) {
+    const original = new Map();
+    for (let i = step; i < this.stepCount; i += 1) {
+      this.trace[i - this.traceStart].writes.forEach(({ tapeIndex, pos, previous }) => {
+        const cell = `${tapeIndex}:${pos}`;
+        if (!original.has(cell)) original.set(cell, { tapeIndex, pos, previous });
+      });
+    }
+    return [...original.values()].every(({ tapeIndex, pos, previous }) => {
+      const tape = this.tapes[tapeIndex];
+      return (tape.has(pos) ? tape.get(pos) : this.blankSymbol) === previous;
+    });
+  }
+
+  loopCycle() {
+    if (this.outcome !== "loop" || this.loopStart === null) {
+      return null;
+    }
+    const records = this.trace.slice(this.loopStart - this.traceStart, this.stepCount - this.traceStart);
+    return {
+      transitionKeys: new Set(records.map((record) => record.transitionKey)),
+      states: new Set(records.map((record) => record.fromState)),
+    };
   }
 
   read(tapeIndex) {
@@ -37,41 +104,81 @@ class MultiTapeTuringMachine {
 
   write(tapeIndex, symbol) {
     const head = this.heads[tapeIndex];
+    const tape = this.tapes[tapeIndex];
+    if (tape.has(head)) {
+      this.toggleCellHash(tapeIndex, head, tape.get(head));
+    }
     if (symbol === this.blankSymbol) {
-      this.tapes[tapeIndex].delete(head);
+      tape.delete(head);
       return;
     }
-    this.tapes[tapeIndex].set(head, symbol);
+    tape.set(head, symbol);
+    this.toggleCellHash(tapeIndex, head, symbol);
+  }
+
+  halt(outcome, text) {
+    this.halted = true;
+    this.outcome = outcome;
+    this.haltReason = `${TM_OUTCOME_LABELS[outcome]}.`;
+    return { status: outcome, message: text };
+  }
+
+  haltIfFinal(acceptText, rejectText) {
+    if (this.acceptStates.has(this.currentState)) {
+      return this.halt("accept", acceptText);
+    }
+    if (this.rejectStates.has(this.currentState)) {
+      return this.halt("reject", rejectText);
+    }
+    return null;
   }
 
   step() {
     if (this.halted) {
-      return { status: "halted", message: this.haltReason || "La máquina ya está detenida." };
+      return { status: this.outcome, message: this.haltReason || "La máquina ya está detenida." };
     }
 
-    if (this.acceptStates.has(this.currentState)) {
-      this.halted = true;
-      this.haltReason = "Aceptación.";
-      return { status: "accept", message: "La máquina llegó a un estado de aceptación." };
+    const final = this.haltIfFinal(
+      "La máquina llegó a un estado de aceptación.",
+      "La máquina llegó a un estado de rechazo.",
+    );
+    if (final) {
+      return final;
+    }
+    if (this.stepCount >= this.stepLimit) {
+      return this.halt("limit", `Se alcanzó el límite de ${this.stepLimit} pasos sin que la máquina se detuviera.`);
     }
 
     const readSymbols = this.heads.map((_, i) => this.read(i));
-    const key = `${this.currentState}|${readSymbols.join("\u0001")}`;
-    const transition = this.transitions.get(key);
+    const candidates = this.transitions.get(`${this.currentState}|${readSymbols.join("\u0001")}`) || [];
+    const choice = this.branch ? this.branch[this.stepCount] ?? 0 : 0;
+    const transition = candidates[choice] || candidates[0];
 
     if (!transition) {
-      this.halted = true;
-      this.haltReason = "Sin transición aplicable.";
       this.lastTransitionKey = null;
-      return {
-        status: "halted",
-        message: `No existe transición para ${this.currentState} (${readSymbols.join(", ")}).`,
-      };
+      return this.halt(
+        "halt",
+        `No existe transición para ${this.currentState} (${readSymbols.join(", ")}): detención implícita.`,
+      );
     }
 
+    const key = transition.key;
+    const record = {
+      fromState: this.currentState,
+      heads: [...this.heads],
+      writes: [],
+      transitionKey: key,
+      previousTransitionKey: this.lastTransitionKey,
+    };
+
     this.lastTransitionKey = key;
     transition.actions.forEach((action, tapeIndex) => {
       if (action.writeSymbol !== null && action.writeSymbol !== "") {
+        record.writes.push({
+          tapeIndex,
+          pos: this.heads[tapeIndex],
+          previous: this.read(tapeIndex),
+        });
         this.write(tapeIndex, action.writeSymbol);
       }
 
@@ -83,16 +190,222 @@ class MultiTapeTuringMachine {
     });
 
     this.currentState = transition.nextState;
+    // El historial conserva los pasos posteriores al cursor para poder avanzar de nuevo tras retroceder.
+    this.trace[this.stepCount - this.traceStart] = record;
     this.stepCount += 1;
+    this.trimTrace();
 
-    if (this.acceptStates.has(this.currentState)) {
-      this.halted = true;
-      this.haltReason = "Aceptación.";
-      return { status: "accept", message: "La máquina aceptó la entrada." };
+    const reached = this.haltIfFinal("La máquina aceptó la entrada.", "La máquina rechazó la entrada.");
+    if (reached) {
+      return reached;
+    }
+
+    if (this.detectLoops) {
+      const configKey = this.configurationKey();
+      const firstSeen = this.configIndex.get(configKey);
+      if (firstSeen === undefined || firstSeen < this.traceStart) {
+        // Si ese paso ya salió del historial no se puede comprobar; este pasa a ser la referencia.
+        this.configIndex.set(configKey, this.stepCount);
+      } else if (this.sameTapesAsStep(firstSeen)) {
+        this.loopStart = firstSeen;
+        return this.halt(
+          "loop",
+          `Bucle detectado en el paso ${this.stepCount}: se repite la configuración del paso ${firstSeen}.`,
+        );
+      }
     }
 
+    if (candidates.length > 1) {
+      return {
+        status: "running",
+        message: `Paso ejecutado (opción ${candidates.indexOf(transition) + 1} de ${candidates.length}).`,
+      };
+    }
     return { status: "running", message: "Paso ejecutado." };
   }
+
+  // Descarta por bloques los pasos más antiguos cuando el historial supera TM_TRACE_LIMIT.
+  trimTrace() {
+    const excess = this.stepCount - this.traceStart - TM_TRACE_LIMIT;
+    if (excess >= TM_TRACE_LIMIT / 4) {
+      this.trace.splice(0, excess);
+      this.traceStart += excess;
+    }
+  }
+
+  // Recorre el árbol de cómputo en anchura sin modificar la configuración actual.
+  exploreBranches(maxDepth, maxConfigurations) {
+    const root = {
+      state: this.startState,
+      heads: Array(this.tapeCount).fill(0),
+      tapes: this.tapes.map(() => new Map()),
+      depth: 0,
+      parent: null,
+      choice: null,
+    };
+    this.initialTapes.forEach((symbols, tapeIndex) => {
+      symbols.forEach((symbol, pos) => {
+        if (symbol !== this.blankSymbol) root.tapes[tapeIndex].set(pos, symbol);
+      });
+    });
+
+    const signature = (cfg) => `${cfg.state}|${cfg.heads.join(",")}|${cfg.tapes
+      .map((tape) => [...tape.entries()].sort((a, b) => a[0] - b[0]).map(([pos, sym]) => `${pos}:${sym}`).join(" "))
+      .join("\u0001")}`;
+    const branchOf = (cfg) => {
+      const choices = [];
+      for (let node = cfg; node.parent; node = node.parent) {
+        choices.push(node.choice);
+      }
+      return choices.reverse();
+    };
+
+    const queue = [root];
+    const seen = new Set([signature(root)]);
+    let explored = 0;
+    let deepest = 0;
+    let truncated = false;
+
+    while (queue.length) {
+      const cfg = queue.shift();
+      explored += 1;
+      deepest = Math.max(deepest, cfg.depth);
+      if (this.acceptStates.has(cfg.state)) {
+        return { status: "accept", branch: branchOf(cfg), explored, deepest };
+      }
+      if (this.rejectStates.has(cfg.state)) {
+        continue;
+      }
+
+      const readSymbols = cfg.heads.map((head, i) => (cfg.tapes[i].has(head) ? cfg.tapes[i].get(head) : this.blankSymbol));
+      const candidates = this.transitions.get(`${cfg.state}|${readSymbols.join("\u0001")}`) || [];
+      if (!candidates.length) {
+        continue;
+      }
+      // Solo cuenta como búsqueda truncada si la configuración todavía podía avanzar.
+      if (cfg.depth >= maxDepth || explored >= maxConfigurations) {
+        truncated = true;
+        if (explored >= maxConfigurations) break;
+        continue;
+      }
+      candidates.forEach((transition, choice) => {
+        const next = {
+          state: transition.nextState,
+          heads: [...cfg.heads],
+          tapes: cfg.tapes.map((tape) => new Map(tape)),
+          depth: cfg.depth + 1,
+          parent: cfg,
+          choice,
+        };
+        transition.actions.forEach((action, tapeIndex) => {
+          if (action.writeSymbol !== null && action.writeSymbol !== "") {
+            if (action.writeSymbol === this.blankSymbol) {
+              next.tapes[tapeIndex].delete(next.heads[tapeIndex]);
+            } else {
+              next.tapes[tapeIndex].set(next.heads[tapeIndex], action.writeSymbol);
+            }
+          }
+          if (action.move === "R") next.heads[tapeIndex] += 1;
+          else if (action.move === "L") next.heads[tapeIndex] -= 1;
+        });
+        const key = signature(next);
+        if (!seen.has(key)) {
+          seen.add(key);
+          queue.push(next);
+        }
+      });
+    }
+
+    return { status: truncated ? "limit" : "reject", branch: null, explored, deepest };
+  }
+
+  exportState() {
+    return {
+      currentState: this.currentState,
+      stepCount: this.stepCount,
+      halted: this.halted,
+      haltReason: this.haltReason,
+      outcome: this.outcome,
+      lastTransitionKey: this.lastTransitionKey,
+      trace: this.trace,
+      traceStart: this.traceStart,
+      loopStart: this.loopStart,
+      heads: this.heads,
+      tapes: this.tapes,
+      tapeHash: this.tapeHash,
+      configIndex: this.configIndex,
+    };
+  }
+
+  importState(state) {
+    Object.assign(this, state);
+  }
+
+  stepBack() {
+    if (this.stepCount === this.traceStart) {
+      return false;
+    }
+    const record = this.trace[this.stepCount - 1 - this.traceStart];
+    const configKey = this.configurationKey();
+    if (this.configIndex.get(configKey) === this.stepCount) {
+      this.configIndex.delete(configKey);
+    }
+    for (let i = record.writes.length - 1; i >= 0; i -= 1) {
+      const { tapeIndex, pos, previous } = record.writes[i];
+      const savedHead = this.heads[tapeIndex];
+      this.heads[tapeIndex] = pos;
+      this.write(tapeIndex, previous);
+      this.heads[tapeIndex] = savedHead;
+    }
+    this.heads = [...record.heads];
+    this.currentState = record.fromState;
+    this.lastTransitionKey = record.previousTransitionKey;
+    this.stepCount -= 1;
+    this.halted = false;
+    this.haltReason = "";
+    this.outcome = null;
+    this.loopStart = null;
+    return true;
+  }
+
+  // Más allá del historial sigue ejecutando hasta el paso pedido; stepLimit acota el avance.
+  goToStep(target) {
+    const goal = Math.max(this.traceStart, target);
+    while (this.stepCount > goal) {
+      this.stepBack();
+    }
+    while (this.stepCount < goal && !this.halted) {
+      this.step();
+    }
+    return this.stepCount;
+  }
+}
+
+// Se ejecuta dentro del Web Worker de "Ejecutar hasta el final"; no tiene acceso al DOM.
+function tmWorkerMain() {
+  self.onmessage = (event) => {
+    const { definition, initialTapes, symbols, branch, stepLimit, detectLoops, state } = event.data;
+    const worker = new MultiTapeTuringMachine(definition, initialTapes, symbols.blank, symbols.initial);
+    worker.importState(state);
+    worker.branch = branch;
+    worker.stepLimit = stepLimit;
+    worker.detectLoops = detectLoops;
+
+    const started = performance.now();
+    let lastResult = null;
+    while (!worker.halted) {
+      lastResult = worker.step();
+      if (worker.stepCount % 50000 === 0 && !worker.halted) {
+        self.postMessage({ type: "progress", stepCount: worker.stepCount });
+      }
+    }
+    self.postMessage({
+      type: "done",
+      state: worker.exportState(),
+      message: lastResult ? lastResult.message : worker.haltReason,
+      elapsed: performance.now() - started,
+    });
+  };
 }
 
 const SVG_NS = "http://www.w3.org/2000/svg";
@@ -101,13 +414,58 @@ const GRAPH_HEIGHT = 460;
 const NODE_RADIUS = 30;
 const WORLD_LIMIT = 100000;
 
+const PROJECT_FORMAT = "laboratorio-automatas";
+const PROJECT_VERSION = 1;
+const AUTOSAVE_KEY = "laboratorio-automatas:autosave";
+const AUTOSAVE_HISTORY_KEY = "laboratorio-automatas:autosave-historial";
+const AUTOSAVE_HISTORY_LIMIT = 20;
+const AUTOSAVE_DELAY_MS = 600;
+const HISTORY_LIMIT = 100;
+const NTM_MAX_CONFIGURATIONS = 50000;
+const PDA_ACCEPT_MODES = {
+  final: "estado final",
+  empty: "pila vacía",
+  both: "estado final y pila vacía",
+};
+const TM_TEST_EXPECTATIONS = {
+  acepta: "accept",
+  accept: "accept",
+  rechaza: "reject",
+  reject: "reject",
+  detiene: "halt",
+  halt: "halt",
+};
+const FA_ANALYSIS_MAX_SEARCH_LENGTH = 5000;
+const BATCH_EXPECTATIONS = {
+  acepta: true,
+  accept: true,
+  rechaza: false,
+  reject: false,
+};
+
 const ui = {
+  saveProject: document.getElementById("saveProject"),
+  openProject: document.getElementById("openProject"),
+  projectFileInput: document.getElementById("projectFileInput"),
+  openAutosaveHistory: document.getElementById("openAutosaveHistory"),
+  autosaveDialog: document.getElementById("autosaveDialog"),
+  autosaveList: document.getElementById("autosaveList"),
+  autosaveClose: document.getElementById("autosaveClose"),
   openDiagramConfig: document.getElementById("openDiagramConfig"),
   diagramConfigDialog: document.getElementById("diagramConfigDialog"),
   diagramMinDistance: document.getElementById("diagramMinDistance"),
   diagramConfigSave: document.getElementById("diagramConfigSave"),
   diagramConfigCancel: document.getElementById("diagramConfigCancel"),
   tabTM: document.getElementById("tabTM"),
+  tabCFG: document.getElementById("tabCFG"),
+  viewCFG: document.getElementById("viewCFG"),
+  cfgToCnf: document.getElementById("cfgToCnf"),
+  cfgCnfOutput: document.getElementById("cfgCnfOutput"),
+  cfgWord: document.getElementById("cfgWord"),
+  cfgCyk: document.getElementById("cfgCyk"),
+  cfgResult: document.getElementById("cfgResult"),
+  cfgCykTable: document.getElementById("cfgCykTable"),
+  cfgParseTrees: document.getElementById("cfgParseTrees"),
   tabFA: document.getElementById("tabFA"),
   tabPDA: document.getElementById("tabPDA"),
   viewTM: document.getElementById("viewTM"),
@@ -116,6 +474,9 @@ const ui = {
   addState: document.getElementById("addState"),
   setStart: document.getElementById("setStart"),
   toggleAccept: document.getElementById("toggleAccept"),
+  toggleReject: document.getElementById("toggleReject"),
+  toggleBreakpoint: document.getElementById("toggleBreakpoint"),
+  breakpointConditions: document.getElementById("breakpointConditions"),
   deleteState: document.getElementById("deleteState"),
   selectedState: document.getElementById("selectedState"),
   stateGraph: document.getElementById("stateGraph"),
@@ -125,6 +486,13 @@ const ui = {
   deleteTransition: document.getElementById("deleteTransition"),
   clearTransition: document.getElementById("clearTransition"),
   tapeCount: document.getElementById("tapeCount"),
+  ntmMode: document.getElementById("ntmMode"),
+  ntmMaxDepth: document.getElementById("ntmMaxDepth"),
+  tmTestCases: document.getElementById("tmTestCases"),
+  tmTestMaxSteps: document.getElementById("tmTestMaxSteps"),
+  runTmTests: document.getElementById("runTmTests"),
+  tmTestSummary: document.getElementById("tmTestSummary"),
+  tmTestResults: document.getElementById("tmTestResults"),
   initialTapesEditor: document.getElementById("initialTapesEditor"),
   transitionsPreview: document.getElementById("transitionsPreview"),
   transitionsTable: document.getElementById("transitionsTable"),
@@ -136,15 +504,32 @@ const ui = {
   initialize: document.getElementById("initialize"),
   reset: document.getElementById("reset"),
   step: document.getElementById("step"),
+  stepBack: document.getElementById("stepBack"),
+  timeline: document.getElementById("timeline"),
+  timelineValue: document.getElementById("timelineValue"),
+  gotoStep: document.getElementById("gotoStep"),
+  gotoStepButton: document.getElementById("gotoStepButton"),
   run: document.getElementById("run"),
+  runToEnd: document.getElementById("runToEnd"),
+  runSummary: document.getElementById("runSummary"),
+  finalTapes: document.getElementById("finalTapes"),
   pause: document.getElementById("pause"),
   speed: document.getElementById("speed"),
   speedValue: document.getElementById("speedValue"),
+  maxSteps: document.getElementById("maxSteps"),
+  detectLoops: document.getElementById("detectLoops"),
   currentState: document.getElementById("currentState"),
   stepCount: document.getElementById("stepCount"),
+  haltOutcome: document.getElementById("haltOutcome"),
   message: document.getElementById("message"),
   tapeArea: document.getElementById("tapeArea"),
   loadExample: document.getElementById("loadExample"),
+  undo: document.getElementById("undo"),
+  redo: document.getElementById("redo"),
+  faUndo: document.getElementById("faUndo"),
+  faRedo: document.getElementById("faRedo"),
+  pdaUndo: document.getElementById("pdaUndo"),
+  pdaRedo: document.getElementById("pdaRedo"),
   faAddState: document.getElementById("faAddState"),
   faSetStart: document.getElementById("faSetStart"),
   faToggleAccept: document.getElementById("faToggleAccept"),
@@ -161,9 +546,63 @@ const ui = {
   faLoadExample: document.getElementById("faLoadExample"),
   faEvaluate: document.getElementById("faEvaluate"),
   faMinimize: document.getElementById("faMinimize"),
+  faStepStart: document.getElementById("faStepStart"),
+  faStepBack: document.getElementById("faStepBack"),
+  faStepNext: document.getElementById("faStepNext"),
+  faStepStop: document.getElementById("faStepStop"),
+  faStepPanel: document.getElementById("faStepPanel"),
+  faStepInput: document.getElementById("faStepInput"),
+  faStepActive: document.getElementById("faStepActive"),
+  faStepTaken: document.getElementById("faStepTaken"),
   faResult: document.getElementById("faResult"),
+  faTraceTitle: document.getElementById("faTraceTitle"),
+  faTrace: document.getElementById("faTrace"),
+  faBatchWords: document.getElementById("faBatchWords"),
+  faBatchEvaluate: document.getElementById("faBatchEvaluate"),
+  faBatchSummary: document.getElementById("faBatchSummary"),
+  faBatchResults: document.getElementById("faBatchResults"),
   faMessage: document.getElementById("faMessage"),
   faMinimizedOutput: document.getElementById("faMinimizedOutput"),
+  faMinimizeStages: document.getElementById("faMinimizeStages"),
+  faLoadDfa: document.getElementById("faLoadDfa"),
+  faBStates: document.getElementById("faBStates"),
+  faBAlphabet: document.getElementById("faBAlphabet"),
+  faBStartState: document.getElementById("faBStartState"),
+  faBAcceptStates: document.getElementById("faBAcceptStates"),
+  faBTransitions: document.getElementById("faBTransitions"),
+  faCopyToB: document.getElementById("faCopyToB"),
+  faUnion: document.getElementById("faUnion"),
+  faIntersection: document.getElementById("faIntersection"),
+  faComplement: document.getElementById("faComplement"),
+  faDifference: document.getElementById("faDifference"),
+  faBooleanOutput: document.getElementById("faBooleanOutput"),
+  faLoadBoolean: document.getElementById("faLoadBoolean"),
+  faEquivalenceTarget: document.getElementById("faEquivalenceTarget"),
+  faEquivalence: document.getElementById("faEquivalence"),
+  faAnalysisLength: document.getElementById("faAnalysisLength"),
+  faCompleteDfa: document.getElementById("faCompleteDfa"),
+  faDeltaSource: document.getElementById("faDeltaSource"),
+  faShowDeltaTable: document.getElementById("faShowDeltaTable"),
+  faDeltaTable: document.getElementById("faDeltaTable"),
+  faDeltaCopyMarkdown: document.getElementById("faDeltaCopyMarkdown"),
+  faDeltaCopyCsv: document.getElementById("faDeltaCopyCsv"),
+  faDeltaExport: document.getElementById("faDeltaExport"),
+  faAnalysisWordCount: document.getElementById("faAnalysisWordCount"),
+  faAnalyze: document.getElementById("faAnalyze"),
+  faAnalysisResult: document.getElementById("faAnalysisResult"),
+  faAnalysisKind: document.getElementById("faAnalysisKind"),
+  faAnalysisWords: document.getElementById("faAnalysisWords"),
+  faAnalysisRejected: document.getElementById("faAnalysisRejected"),
+  faAnalysisCounts: document.getElementById("faAnalysisCounts"),
+  faLoadMinimized: document.getElementById("faLoadMinimized"),
+  faStateLegend: document.getElementById("faStateLegend"),
+  faUnitNfaOutput: document.getElementById("faUnitNfaOutput"),
+  faSubsetTable: document.getElementById("faSubsetTable"),
+  faPartitionRounds: document.getElementById("faPartitionRounds"),
+  faRegex: document.getElementById("faRegex"),
+  faRegexToNfa: document.getElementById("faRegexToNfa"),
+  faToRegex: document.getElementById("faToRegex"),
+  faRegexOutput: document.getElementById("faRegexOutput"),
   pdaStates: document.getElementById("pdaStates"),
   pdaAddState: document.getElementById("pdaAddState"),
   pdaSetStart: document.getElementById("pdaSetStart"),
@@ -180,7 +619,27 @@ const ui = {
   pdaLoadExample: document.getElementById("pdaLoadExample"),
   pdaEvaluate: document.getElementById("pdaEvaluate"),
   pdaResult: document.getElementById("pdaResult"),
+  cfgGrammar: document.getElementById("cfgGrammar"),
+  cfgToPda: document.getElementById("cfgToPda"),
+  pdaToCfg: document.getElementById("pdaToCfg"),
+  cfgMessage: document.getElementById("cfgMessage"),
+  pdaAcceptMode: document.getElementById("pdaAcceptMode"),
+  pdaToEmptyStack: document.getElementById("pdaToEmptyStack"),
+  pdaToFinalState: document.getElementById("pdaToFinalState"),
+  pdaTraceTitle: document.getElementById("pdaTraceTitle"),
+  pdaTrace: document.getElementById("pdaTrace"),
+  pdaBatchWords: document.getElementById("pdaBatchWords"),
+  pdaBatchEvaluate: document.getElementById("pdaBatchEvaluate"),
+  pdaBatchSummary: document.getElementById("pdaBatchSummary"),
+  pdaBatchResults: document.getElementById("pdaBatchResults"),
   pdaMessage: document.getElementById("pdaMessage"),
+  pdaDebugStart: document.getElementById("pdaDebugStart"),
+  pdaDebugBack: document.getElementById("pdaDebugBack"),
+  pdaDebugStep: document.getElementById("pdaDebugStep"),
+  pdaDebugStop: document.getElementById("pdaDebugStop"),
+  pdaDebugPanel: document.getElementById("pdaDebugPanel"),
+  pdaConfigTree: document.getElementById("pdaConfigTree"),
+  pdaStack: document.getElementById("pdaStack"),
 };
 
 const editor = {
@@ -203,10 +662,18 @@ const interaction = {
   linkFrom: null,
   linkTo: null,
   inlineEditor: null,
+  dragBefore: null,
 };
 
 let machine = null;
 let runTimer = null;
+let fastRun = null;
+let breakpointPause = null;
+const tmBreakpoints = {
+  states: new Set(),
+  transitions: new Set(),
+};
+let activeView = "tm";
 const tmViewport = {
   x: 0,
   y: 0,
@@ -214,6 +681,39 @@ const tmViewport = {
 const diagramConfig = {
   minNodeDistance: 90,
 };
+const editHistory = {
+  tm: { undo: [], redo: [] },
+  fa: { undo: [], redo: [] },
+  pda: { undo: [], redo: [] },
+};
+const autosave = {
+  enabled: false,
+  timer: null,
+  lastSerialized: null,
+};
+const faStepper = {
+  model: null,
+  word: "",
+  pos: 0,
+  active: new Set(),
+  partial: [],
+  taken: [],
+  history: [],
+};
+const evaluationTraces = {
+  fa: null,
+  pda: null,
+};
+let faPipeline = null;
+let faBooleanResult = null;
+let faDeltaTable = null;
+const pdaDebugger = {
+  model: null,
+  input: "",
+  root: null,
+  current: null,
+  nodesById: new Map(),
+};
 const faGraphEditor = {
   nodes: new Map(),
   transitions: [],
@@ -229,8 +729,10 @@ const faGraphEditor = {
   panStartOffsetY: 0,
   dragNode: null,
   dragPointerId: null,
+  dragBefore: null,
   linkFrom: null,
   linkTo: null,
+  highlight: null,
 };
 const pdaGraphEditor = {
   nodes: new Map(),
@@ -247,8 +749,10 @@ const pdaGraphEditor = {
   panStartOffsetY: 0,
   dragNode: null,
   dragPointerId: null,
+  dragBefore: null,
   linkFrom: null,
   linkTo: null,
+  highlight: null,
 };
 
 function message(text, type = "warn") {
@@ -261,6 +765,7 @@ function message(text, type = "warn") {
 function setRunButtons(enabled) {
   ui.step.disabled = !enabled;
   ui.run.disabled = !enabled;
+  ui.runToEnd.disabled = !enabled;
   ui.pause.disabled = true;
 }
 
@@ -386,6 +891,8 @@ function getConfiguredTapeCount() {
 
 function renderInitialTapesEditor(tapeCount, initialTapes = null) {
   ui.initialTapesEditor.innerHTML = "";
+  // Cantidad de cintas a la que corresponden las transiciones; el historial la guarda desde aquí.
+  ui.initialTapesEditor.dataset.tapeCount = String(tapeCount);
   const defaultFirst = [">", "1", "1", "1", "#"];
   const firstSymbols = initialTapes && initialTapes[0] ? initialTapes[0].symbols : defaultFirst;
   const row = document.createElement("div");
@@ -539,6 +1046,23 @@ function transitionKey(fromState, readSymbols) {
   return `${fromState}|${readSymbols.join("\u0001")}`;
 }
 
+function isNondeterministicMode() {
+  return ui.ntmMode.checked;
+}
+
+function getNtmMaxDepth() {
+  const parsed = Number.parseInt(ui.ntmMaxDepth.value, 10);
+  return Math.max(Number.isFinite(parsed) ? parsed : 500, 1);
+}
+
+// En modo MTN dos transiciones solo son la misma si coinciden también en acciones y destino.
+function transitionIdentity(transition) {
+  if (isNondeterministicMode()) {
+    return transitionToLine(transition);
+  }
+  return transitionKey(transition.fromState, transition.readSymbols);
+}
+
 function edgeKey(fromState, toState) {
   return `${fromState}=>${toState}`;
 }
@@ -723,6 +1247,27 @@ function createTransitionRowElement(tapeCount, transition = null) {
   finalCell.appendChild(tableInput(toState));
   tr.appendChild(finalCell);
 
+  const breakpointCell = document.createElement("td");
+  const breakpointToggle = document.createElement("input");
+  breakpointToggle.type = "checkbox";
+  breakpointToggle.setAttribute("aria-label", "Punto de parada en esta transición");
+  if (transition) {
+    const line = transitionToLine(transition);
+    breakpointToggle.checked = tmBreakpoints.transitions.has(line);
+    breakpointToggle.addEventListener("change", () => {
+      if (breakpointToggle.checked) {
+        tmBreakpoints.transitions.add(line);
+      } else {
+        tmBreakpoints.transitions.delete(line);
+      }
+      renderStateGraph();
+    });
+  } else {
+    breakpointToggle.disabled = true;
+  }
+  breakpointCell.appendChild(breakpointToggle);
+  tr.appendChild(breakpointCell);
+
   tr.addEventListener("click", () => {
     [...ui.transitionsTableBody.querySelectorAll("tr")].forEach((row) => row.classList.remove("selected"));
     tr.classList.add("selected");
@@ -753,6 +1298,9 @@ function renderTransitionsTable() {
   const endHead = document.createElement("th");
   endHead.textContent = "Estado Final";
   headRow.appendChild(endHead);
+  const breakpointHead = document.createElement("th");
+  breakpointHead.textContent = "Parada";
+  headRow.appendChild(breakpointHead);
 
   ui.transitionsTableHead.innerHTML = "";
   ui.transitionsTableHead.appendChild(headRow);
@@ -774,7 +1322,7 @@ function collectTransitionsFromTable() {
   const rows = [...ui.transitionsTableBody.querySelectorAll("tr")];
 
   rows.forEach((row) => {
-    const values = [...row.querySelectorAll("input")].map((input) => input.value.trim());
+    const values = [...row.querySelectorAll('input[type="text"]')].map((input) => input.value.trim());
     const fromState = values[0];
     const readSymbols = values.slice(1, 1 + tapeCount).map((x) => (x === "" ? "#" : x));
     const actionTokens = values
@@ -821,17 +1369,20 @@ function applyTransitionsFromTable() {
       }
       validateTransitionTapeWidth(parsed, expected);
       const key = transitionKey(parsed.fromState, parsed.readSymbols);
-      if (seen.has(key)) {
+      const identity = transitionIdentity(parsed);
+      if (seen.has(identity)) {
         throw new Error(`Transición duplicada para ${parsed.fromState} (${parsed.readSymbols.join(", ")}).`);
       }
-      seen.add(key);
+      seen.add(identity);
       next.push({
         ...parsed,
         key,
       });
     });
 
-    editor.transitions = next;
+    recordHistory("tm", "Aplicar tabla", () => {
+      editor.transitions = next;
+    });
     if (editor.selectedTransitionKey && !hasEdgeKey(editor.selectedTransitionKey)) {
       clearTransitionSelection();
       setTransitionEditorLine("");
@@ -886,7 +1437,8 @@ function autoAdjustTransitionsToTapeCount(tapeCount) {
   editor.transitions.forEach((transition) => {
     const normalized = normalizeTransitionToTapeCount(transition, tapeCount);
     const key = transitionKey(normalized.fromState, normalized.readSymbols);
-    normalizedMap.set(key, {
+    // En modo no determinista se conservan las alternativas; si no, la última transición por clave gana.
+    normalizedMap.set(isNondeterministicMode() ? transitionToLine(normalized) : key, {
       fromState: normalized.fromState,
       nextState: normalized.nextState,
       readSymbols: normalized.readSymbols,
@@ -918,16 +1470,19 @@ function addState(name, x, y) {
     throw new Error(`El estado ${name} ya existe.`);
   }
 
-  const hasStart = [...editor.nodes.values()].some((n) => n.isStart);
-  editor.nodes.set(name, {
-    x,
-    y,
-    isStart: !hasStart,
-    isAccept: false,
+  recordHistory("tm", `Crear estado ${name}`, () => {
+    const hasStart = [...editor.nodes.values()].some((n) => n.isStart);
+    editor.nodes.set(name, {
+      x,
+      y,
+      isStart: !hasStart,
+      isAccept: false,
+      isReject: false,
+    });
+    enforceMinNodeDistance(editor.nodes, name);
   });
 
   editor.selectedState = name;
-  enforceMinNodeDistance(editor.nodes, name);
   refreshSelectedState();
   renderStateGraph();
 }
@@ -939,10 +1494,13 @@ function deleteSelectedState() {
   }
 
   const state = editor.selectedState;
-  editor.nodes.delete(state);
-  editor.transitions = editor.transitions.filter(
-    (t) => t.fromState !== state && t.nextState !== state,
-  );
+  const dropped = editor.transitions.filter((t) => t.fromState === state || t.nextState === state).length;
+  recordHistory("tm", `Eliminar estado ${state}`, () => {
+    editor.nodes.delete(state);
+    editor.transitions = editor.transitions.filter(
+      (t) => t.fromState !== state && t.nextState !== state,
+    );
+  });
 
   editor.selectedState = null;
   clearTransitionSelection();
@@ -950,7 +1508,12 @@ function deleteSelectedState() {
   refreshSelectedState();
   refreshTransitionEditors();
   renderStateGraph();
-  message(`Estado ${state} eliminado.`, "ok");
+  message(
+    dropped
+      ? `Estado ${state} eliminado junto con ${dropped} transición(es). Ctrl+Z para deshacer.`
+      : `Estado ${state} eliminado.`,
+    "ok",
+  );
 }
 
 function setStartState() {
@@ -960,10 +1523,12 @@ function setStartState() {
     return;
   }
 
-  editor.nodes.forEach((node) => {
-    node.isStart = false;
+  recordHistory("tm", `Marcar inicio ${state}`, () => {
+    editor.nodes.forEach((node) => {
+      node.isStart = false;
+    });
+    editor.nodes.get(state).isStart = true;
   });
-  editor.nodes.get(state).isStart = true;
   renderStateGraph();
   message(`Estado inicial: ${state}.`, "ok");
 }
@@ -976,15 +1541,116 @@ function toggleAcceptState() {
   }
 
   const node = editor.nodes.get(state);
-  node.isAccept = !node.isAccept;
+  recordHistory("tm", `Alternar aceptación ${state}`, () => {
+    node.isAccept = !node.isAccept;
+    if (node.isAccept) node.isReject = false;
+  });
   renderStateGraph();
   message(`Estado ${state} ${node.isAccept ? "marcado" : "desmarcado"} como aceptación.`, "ok");
 }
 
+function toggleRejectState() {
+  const state = editor.selectedState;
+  if (!state || !editor.nodes.has(state)) {
+    message("Selecciona un estado para alternar rechazo.", "warn");
+    return;
+  }
+
+  const node = editor.nodes.get(state);
+  recordHistory("tm", `Alternar rechazo ${state}`, () => {
+    node.isReject = !node.isReject;
+    if (node.isReject) node.isAccept = false;
+  });
+  renderStateGraph();
+  message(`Estado ${state} ${node.isReject ? "marcado" : "desmarcado"} como rechazo.`, "ok");
+}
+
+function toggleBreakpoint() {
+  if (editor.selectedTransitionKey) {
+    const lines = findTransitionsByEdgeKey(editor.selectedTransitionKey).map(transitionToLine);
+    const enable = !lines.every((line) => tmBreakpoints.transitions.has(line));
+    lines.forEach((line) => {
+      if (enable) {
+        tmBreakpoints.transitions.add(line);
+      } else {
+        tmBreakpoints.transitions.delete(line);
+      }
+    });
+    renderTransitionsTable();
+    renderStateGraph();
+    message(
+      `Punto de parada ${enable ? "activado" : "desactivado"} en ${lines.length} transición(es) de la flecha.`,
+      "ok",
+    );
+    return;
+  }
+
+  const state = editor.selectedState;
+  if (!state || !editor.nodes.has(state)) {
+    message("Selecciona un estado o una flecha para alternar el punto de parada.", "warn");
+    return;
+  }
+
+  const enable = !tmBreakpoints.states.has(state);
+  if (enable) {
+    tmBreakpoints.states.add(state);
+  } else {
+    tmBreakpoints.states.delete(state);
+  }
+  renderStateGraph();
+  message(`Punto de parada ${enable ? "activado" : "desactivado"} en el estado ${state}.`, "ok");
+}
+
+// Cada línea es una condición; sus términos ("estado=q1", "cinta2=1") se separan por comas y deben cumplirse todos.
+function parseBreakpointConditions(raw, tapeCount = getConfiguredTapeCount()) {
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const terms = line.split(",").map((term) => term.trim()).filter(Boolean).map((term) => {
+        const stateMatch = term.match(/^estado\s*=\s*(\S+)$/i);
+        if (stateMatch) {
+          return { state: stateMatch[1] };
+        }
+        const tapeMatch = term.match(/^cinta\s*(\d+)\s*=\s*(\S+)$/i);
+        const tapeNumber = tapeMatch ? Number(tapeMatch[1]) : 0;
+        if (tapeMatch && tapeNumber >= 1 && tapeNumber <= tapeCount) {
+          return { tapeIndex: Number(tapeMatch[1]) - 1, symbol: tapeMatch[2] };
+        }
+        throw new Error(
+          `Condición de parada ${index + 1} inválida: "${term}". Usa estado=q1 o cintaN=1 (N de 1 a ${tapeCount}) separados por comas.`,
+        );
+      });
+      return { text: line, terms };
+    });
+}
+
+function findBreakpointHit(conditions) {
+  if (tmBreakpoints.states.has(machine.currentState)) {
+    return `entró en el estado ${machine.currentState}`;
+  }
+
+  const fired = editor.transitions.find((transition) => transition.key === machine.lastTransitionKey);
+  if (fired && tmBreakpoints.transitions.has(transitionToLine(fired))) {
+    return `disparó la transición ${transitionToLine(fired)}`;
+  }
+
+  const matched = conditions.find((condition) =>
+    condition.terms.every((term) =>
+      term.state !== undefined
+        ? machine.currentState === term.state
+        : term.tapeIndex >= 0 && term.tapeIndex < machine.tapeCount && machine.read(term.tapeIndex) === term.symbol,
+    ),
+  );
+  return matched ? `se cumplió la condición "${matched.text}"` : null;
+}
+
 function addOrReplaceTransition(parsed, options = {}) {
   const { render = true } = options;
   const key = transitionKey(parsed.fromState, parsed.readSymbols);
-  const idx = editor.transitions.findIndex((t) => transitionKey(t.fromState, t.readSymbols) === key);
+  const identity = transitionIdentity(parsed);
+  const idx = editor.transitions.findIndex((t) => transitionIdentity(t) === identity);
 
   const transition = {
     fromState: parsed.fromState,
@@ -1069,21 +1735,26 @@ function saveTransitionFromEditor(rawLine = null, closeInline = false, forcedEdg
     const pairKey = targetEdgeKey || edgeKey(parsedList[0].fromState, parsedList[0].nextState);
     const seen = new Set();
     parsedList.forEach((parsed) => {
-      const key = transitionKey(parsed.fromState, parsed.readSymbols);
-      if (seen.has(key)) {
+      const identity = transitionIdentity(parsed);
+      if (seen.has(identity)) {
         throw new Error(`Transición duplicada para ${parsed.fromState} (${parsed.readSymbols.join(", ")}).`);
       }
-      seen.add(key);
+      seen.add(identity);
     });
 
     // Inline editor (sobre la flecha) reemplaza el conjunto de la flecha completa.
     // Editor rápido agrega/actualiza transiciones individuales y conserva las demás.
     const replaceWholeEdge = forcedEdgeKey !== null;
+    recordHistory("tm", "Guardar transición", () => {
+      if (replaceWholeEdge) {
+        replaceTransitionsForEdge(pairKey, parsedList);
+      } else {
+        parsedList.forEach((parsed) => addOrReplaceTransition(parsed, { render: false }));
+      }
+    });
     if (replaceWholeEdge) {
-      replaceTransitionsForEdge(pairKey, parsedList);
       editor.selectedTransitionKey = pairKey;
     } else {
-      parsedList.forEach((parsed) => addOrReplaceTransition(parsed, { render: false }));
       editor.selectedTransitionKey = edgeKey(
         parsedList[parsedList.length - 1].fromState,
         parsedList[parsedList.length - 1].nextState,
@@ -1112,15 +1783,17 @@ function deleteSelectedTransition() {
     message("Selecciona una transición para eliminar.", "warn");
     return;
   }
-  const before = editor.transitions.length;
   const [fromState, toState] = editor.selectedTransitionKey.split("=>");
-  editor.transitions = editor.transitions.filter(
+  const next = editor.transitions.filter(
     (t) => !(t.fromState === fromState && t.nextState === toState),
   );
-  if (editor.transitions.length === before) {
+  if (next.length === editor.transitions.length) {
     message("No se encontró la transición seleccionada.", "warn");
     return;
   }
+  recordHistory("tm", `Eliminar flecha ${editor.selectedTransitionKey}`, () => {
+    editor.transitions = next;
+  });
   clearTransitionSelection();
   setTransitionEditorLine("");
   refreshTransitionEditors();
@@ -1145,16 +1818,19 @@ function importTransitionsFromPreview() {
       }
       validateTransitionTapeWidth(parsed, expected);
       const key = transitionKey(parsed.fromState, parsed.readSymbols);
-      if (seen.has(key)) {
+      const identity = transitionIdentity(parsed);
+      if (seen.has(identity)) {
         throw new Error(`Transición duplicada para ${parsed.fromState} (${parsed.readSymbols.join(", ")}).`);
       }
-      seen.add(key);
+      seen.add(identity);
       next.push({
         ...parsed,
         key,
       });
     });
-    editor.transitions = next;
+    recordHistory("tm", "Editar texto crudo", () => {
+      editor.transitions = next;
+    });
     if (editor.selectedTransitionKey && !hasEdgeKey(editor.selectedTransitionKey)) {
       clearTransitionSelection();
       setTransitionEditorLine("");
@@ -1230,6 +1906,8 @@ function renderStateGraph() {
   const edgeGroups = groupTransitionsByEdge();
   const pairTotals = countEdgePairs(edgeGroups);
   const pairSeen = new Map();
+  const cycle = machine ? machine.loopCycle() : null;
+  const paused = isPausedAtBreakpoint();
 
   edgeGroups.forEach((edgeGroup) => {
     const from = editor.nodes.get(edgeGroup.fromState);
@@ -1249,10 +1927,18 @@ function renderStateGraph() {
       machine && edgeGroup.transitions.some((transition) => transition.key === machine.lastTransitionKey),
     );
 
+    const inCycle = Boolean(
+      cycle && edgeGroup.transitions.some((transition) => cycle.transitionKeys.has(transition.key)),
+    );
+
+    const hasBreakpoint = edgeGroup.transitions.some((transition) =>
+      tmBreakpoints.transitions.has(transitionToLine(transition)),
+    );
+
     const group = createSvgElement("g", { "data-edge": edgeGroup.key });
     const isSelected = editor.selectedTransitionKey === edgeGroup.key;
     const path = createSvgElement("path", {
-      class: `edge-path${active ? " edge-active" : ""}${isSelected ? " edge-selected" : ""}`,
+      class: `edge-path${active ? " edge-active" : ""}${active && paused ? " edge-paused" : ""}${inCycle ? " edge-cycle" : ""}${hasBreakpoint ? " edge-breakpoint" : ""}${isSelected ? " edge-selected" : ""}`,
       "marker-end": active ? "url(#arrow-active)" : "url(#arrow-default)",
       "data-edge": edgeGroup.key,
     });
@@ -1328,7 +2014,8 @@ function renderStateGraph() {
         dy: lineIndex === 0 ? "0" : "1.2em",
         "data-edge": edgeGroup.key,
       });
-      tspan.textContent = `${transition.readSymbols.join(",")} -> (${transition.actions
+      const marker = tmBreakpoints.transitions.has(transitionToLine(transition)) ? "● " : "";
+      tspan.textContent = `${marker}${transition.readSymbols.join(",")} -> (${transition.actions
         .map(actionTokenFrom)
         .join(",")})`;
       label.appendChild(tspan);
@@ -1363,11 +2050,22 @@ function renderStateGraph() {
     if (node.isAccept) {
       classes.push("node-accept");
     }
+    if (node.isReject) {
+      classes.push("node-reject");
+    }
     if (editor.selectedState === name) {
       classes.push("node-selected");
     }
+    if (cycle && cycle.states.has(name)) {
+      classes.push("node-cycle");
+    }
     if (machine && machine.currentState === name) {
       classes.push("node-active");
+      if (machine.outcome) {
+        classes.push(`node-halt-${machine.outcome}`);
+      } else if (paused) {
+        classes.push("node-paused");
+      }
     }
 
     const circle = createSvgElement("circle", {
@@ -1392,6 +2090,21 @@ function renderStateGraph() {
       );
     }
 
+    if (node.isReject) {
+      group.appendChild(
+        createSvgElement("circle", {
+          cx: node.x,
+          cy: node.y,
+          r: NODE_RADIUS - 7,
+          fill: "none",
+          stroke: "#c73434",
+          "stroke-width": 2,
+          "stroke-dasharray": "4 3",
+          "data-node": name,
+        }),
+      );
+    }
+
     if (node.isStart) {
       group.appendChild(
         createSvgElement("line", {
@@ -1417,6 +2130,17 @@ function renderStateGraph() {
 
     group.appendChild(circle);
     group.appendChild(text);
+    if (tmBreakpoints.states.has(name)) {
+      group.appendChild(
+        createSvgElement("circle", {
+          cx: node.x + NODE_RADIUS * 0.72,
+          cy: node.y - NODE_RADIUS * 0.72,
+          r: 6,
+          class: "breakpoint-marker",
+          "data-node": name,
+        }),
+      );
+    }
     svg.appendChild(group);
   });
 
@@ -1477,6 +2201,7 @@ function renderStateGraph() {
   }
 
   updateGraphAriaLabel();
+  scheduleAutosave();
 }
 
 function getSvgPointFromEvent(event) {
@@ -1547,6 +2272,7 @@ function onGraphPointerDown(event) {
 
   interaction.dragNode = nodeName;
   interaction.dragPointerId = event.pointerId;
+  interaction.dragBefore = captureWorkspaceForHistory("tm");
   ui.stateGraph.setPointerCapture(event.pointerId);
   renderStateGraph();
 }
@@ -1612,8 +2338,10 @@ function onGraphPointerUp(event) {
         // ignore
       }
     }
+    commitHistory("tm", `Mover estado ${interaction.dragNode}`, interaction.dragBefore);
     interaction.dragNode = null;
     interaction.dragPointerId = null;
+    interaction.dragBefore = null;
     renderStateGraph();
     return;
   }
@@ -1687,6 +2415,12 @@ function onGraphKeyDown(event) {
   } else if ((event.key === "a" || event.key === "A") && !event.ctrlKey && !event.metaKey) {
     toggleAcceptState();
     handled = true;
+  } else if ((event.key === "r" || event.key === "R") && !event.ctrlKey && !event.metaKey) {
+    toggleRejectState();
+    handled = true;
+  } else if ((event.key === "b" || event.key === "B") && !event.ctrlKey && !event.metaKey) {
+    toggleBreakpoint();
+    handled = true;
   } else if ((event.key === "e" || event.key === "E") && !event.ctrlKey && !event.metaKey) {
     if (editor.selectedTransitionKey) {
       const rect = ui.stateGraph.getBoundingClientRect();
@@ -1707,16 +2441,18 @@ function onGraphKeyDown(event) {
     renderStateGraph();
     handled = true;
   } else if (selectedNode && event.key.startsWith("Arrow")) {
-    if (event.key === "ArrowUp") {
-      selectedNode.y = clamp(selectedNode.y - step, -WORLD_LIMIT, WORLD_LIMIT);
-    } else if (event.key === "ArrowDown") {
-      selectedNode.y = clamp(selectedNode.y + step, -WORLD_LIMIT, WORLD_LIMIT);
-    } else if (event.key === "ArrowLeft") {
-      selectedNode.x = clamp(selectedNode.x - step, -WORLD_LIMIT, WORLD_LIMIT);
-    } else if (event.key === "ArrowRight") {
-      selectedNode.x = clamp(selectedNode.x + step, -WORLD_LIMIT, WORLD_LIMIT);
-    }
-    enforceMinNodeDistance(editor.nodes, editor.selectedState);
+    recordHistory("tm", `Mover estado ${editor.selectedState}`, () => {
+      if (event.key === "ArrowUp") {
+        selectedNode.y = clamp(selectedNode.y - step, -WORLD_LIMIT, WORLD_LIMIT);
+      } else if (event.key === "ArrowDown") {
+        selectedNode.y = clamp(selectedNode.y + step, -WORLD_LIMIT, WORLD_LIMIT);
+      } else if (event.key === "ArrowLeft") {
+        selectedNode.x = clamp(selectedNode.x - step, -WORLD_LIMIT, WORLD_LIMIT);
+      } else if (event.key === "ArrowRight") {
+        selectedNode.x = clamp(selectedNode.x + step, -WORLD_LIMIT, WORLD_LIMIT);
+      }
+      enforceMinNodeDistance(editor.nodes, editor.selectedState);
+    });
     renderStateGraph();
     handled = true;
   }
@@ -1740,19 +2476,26 @@ function buildMachineFromEditor() {
   const tapeCount = tapes.length;
   autoAdjustTransitionsToTapeCount(tapeCount);
 
+  const nondeterministic = isNondeterministicMode();
   const transitions = new Map();
   editor.transitions.forEach((transition) => {
     const normalized = normalizeTransitionToTapeCount(transition, tapeCount);
     const key = transitionKey(normalized.fromState, normalized.readSymbols);
-    if (transitions.has(key)) {
-      throw new Error(`No determinista: transición duplicada para ${normalized.fromState} (${normalized.readSymbols.join(", ")}).`);
+    const candidates = transitions.get(key) || [];
+    if (candidates.length && !nondeterministic) {
+      throw new Error(
+        `No determinista: transición duplicada para ${normalized.fromState} (${normalized.readSymbols.join(", ")}). Activa el modo MTN para permitirlo.`,
+      );
     }
 
-    transitions.set(key, {
+    const id = candidates.length ? `${key}\u0002${candidates.length}` : key;
+    candidates.push({
       nextState: normalized.nextState,
       actions: normalized.actions,
+      key: id,
     });
-    transition.key = key;
+    transitions.set(key, candidates);
+    transition.key = id;
   });
 
   const definition = {
@@ -1761,8 +2504,12 @@ function buildMachineFromEditor() {
     acceptStates: new Set(
       [...editor.nodes.entries()].filter(([, node]) => node.isAccept).map(([name]) => name),
     ),
+    rejectStates: new Set(
+      [...editor.nodes.entries()].filter(([, node]) => node.isReject && !node.isAccept).map(([name]) => name),
+    ),
     transitions,
     tapeCount,
+    nondeterministic,
   };
 
   return {
@@ -1772,14 +2519,42 @@ function buildMachineFromEditor() {
 }
 
 function refreshStatus() {
+  refreshTimeline();
   if (!machine) {
     ui.currentState.textContent = "-";
     ui.stepCount.textContent = "0";
+    ui.haltOutcome.textContent = "-";
+    ui.haltOutcome.className = "";
     return;
   }
 
   ui.currentState.textContent = machine.currentState;
   ui.stepCount.textContent = String(machine.stepCount);
+  const paused = isPausedAtBreakpoint();
+  ui.haltOutcome.textContent = machine.outcome
+    ? TM_OUTCOME_LABELS[machine.outcome]
+    : paused ? "En pausa (punto de parada)" : "En curso";
+  ui.haltOutcome.className = machine.outcome ? `outcome-${machine.outcome}` : paused ? "outcome-paused" : "";
+}
+
+function isPausedAtBreakpoint() {
+  return Boolean(machine && breakpointPause && !machine.halted && breakpointPause.stepCount === machine.stepCount);
+}
+
+function refreshTimeline() {
+  const first = machine ? machine.traceStart : 0;
+  const total = machine ? first + machine.trace.length : 0;
+  const current = machine ? machine.stepCount : 0;
+  const locked = !machine || Boolean(runTimer) || Boolean(fastRun);
+  ui.timeline.min = String(first);
+  ui.timeline.max = String(total);
+  ui.timeline.value = String(current);
+  ui.timeline.disabled = locked || total === 0;
+  ui.timelineValue.value = `${current} / ${total}`;
+  ui.gotoStep.min = String(first);
+  ui.gotoStep.disabled = locked;
+  ui.gotoStepButton.disabled = locked;
+  ui.stepBack.disabled = locked || current === first;
 }
 
 function renderTapes() {
@@ -1828,11 +2603,25 @@ function stopRun() {
     clearInterval(runTimer);
     runTimer = null;
   }
+  cancelFastRun();
   if (machine && !machine.halted) {
     ui.pause.disabled = true;
     ui.run.disabled = false;
+    ui.runToEnd.disabled = false;
     ui.step.disabled = false;
   }
+  refreshTimeline();
+}
+
+function getConfiguredMaxSteps() {
+  const parsed = Number.parseInt(ui.maxSteps.value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : Infinity;
+}
+
+function applySimulationLimits() {
+  if (!machine) return;
+  machine.stepLimit = getConfiguredMaxSteps();
+  machine.detectLoops = ui.detectLoops.checked;
 }
 
 function executeStep() {
@@ -1840,15 +2629,32 @@ function executeStep() {
     return;
   }
 
+  let conditions = [];
+  if (runTimer) {
+    try {
+      conditions = parseBreakpointConditions(ui.breakpointConditions.value, machine.tapeCount);
+    } catch (err) {
+      stopRun();
+      message(err.message, "err");
+      return;
+    }
+  }
+
+  applySimulationLimits();
   const result = machine.step();
+  const hit = runTimer && result.status === "running" ? findBreakpointHit(conditions) : null;
+  breakpointPause = hit ? { stepCount: machine.stepCount, reason: hit } : null;
   refreshStatus();
   renderTapes();
   renderStateGraph();
 
-  if (result.status === "accept") {
+  if (hit) {
+    stopRun();
+    message(`Punto de parada en el paso ${machine.stepCount}: ${hit}. Pulsa Ejecutar para continuar.`, "warn");
+  } else if (result.status === "accept") {
     message(result.message, "ok");
     stopRun();
-  } else if (result.status === "halted") {
+  } else if (result.status !== "running") {
     message(result.message, "warn");
     stopRun();
   } else {
@@ -1856,37 +2662,117 @@ function executeStep() {
   }
 }
 
-function initializeMachine() {
-  stopRun();
-
-  try {
-    const built = buildMachineFromEditor();
-    machine = new MultiTapeTuringMachine(
-      built.definition,
-      built.tapes.map((t) => t.symbols),
-      "#",
-      ">",
-    );
-
-    refreshTransitionEditors();
-    setRunButtons(true);
-    refreshStatus();
-    renderTapes();
-    renderStateGraph();
-    message("Máquina inicializada correctamente.", "ok");
-  } catch (err) {
-    machine = null;
-    setRunButtons(false);
-    refreshStatus();
-    renderTapes();
-    renderStateGraph();
-    message(err.message, "err");
-  }
-}
-
-function resetMachine() {
+function executeStepBack() {
   if (!machine) {
-    message("Primero inicializa la máquina.", "warn");
+    return;
+  }
+
+  stopRun();
+  if (!machine.stepBack()) {
+    message(
+      machine.stepCount ? `El historial guardado empieza en el paso ${machine.stepCount}.` : "Ya estás en el paso 0.",
+      "warn",
+    );
+    return;
+  }
+  setRunButtons(true);
+  refreshStatus();
+  renderTapes();
+  renderStateGraph();
+  message(`Retrocediste al paso ${machine.stepCount}.`, "ok");
+}
+
+function jumpToStep(target) {
+  if (!machine) {
+    return;
+  }
+
+  const parsed = Number.parseInt(target, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    message("Indica un número de paso válido.", "err");
+    return;
+  }
+
+  stopRun();
+  applySimulationLimits();
+  const recorded = machine.traceStart + machine.trace.length;
+  if (parsed > recorded && machine.stepLimit === Infinity) {
+    message(`Sin límite de pasos solo puedes ir hasta el paso registrado ${recorded}.`, "err");
+    return;
+  }
+  const reached = machine.goToStep(parsed);
+  setRunButtons(true);
+  refreshStatus();
+  renderTapes();
+  renderStateGraph();
+  if (reached < parsed) {
+    message(`La máquina se detuvo en el paso ${reached}: ${machine.haltReason}`, "warn");
+    return;
+  }
+  if (reached > parsed) {
+    message(`Solo se guardan los últimos ${TM_TRACE_LIMIT} pasos: el historial empieza en el paso ${reached}.`, "warn");
+    return;
+  }
+  message(`Configuración en el paso ${reached}.`, "ok");
+}
+
+function initializeMachine() {
+  stopRun();
+  breakpointPause = null;
+  ui.runSummary.textContent = "-";
+  ui.finalTapes.hidden = true;
+
+  try {
+    const built = buildMachineFromEditor();
+    machine = new MultiTapeTuringMachine(
+      built.definition,
+      built.tapes.map((t) => t.symbols),
+      "#",
+      ">",
+    );
+
+    refreshTransitionEditors();
+    setRunButtons(true);
+    if (built.definition.nondeterministic) {
+      const search = machine.exploreBranches(getNtmMaxDepth(), NTM_MAX_CONFIGURATIONS);
+      machine.branch = search.branch;
+      reportNondeterministicSearch(search);
+    } else {
+      message("Máquina inicializada correctamente.", "ok");
+    }
+    refreshStatus();
+    renderTapes();
+    renderStateGraph();
+  } catch (err) {
+    machine = null;
+    setRunButtons(false);
+    refreshStatus();
+    renderTapes();
+    renderStateGraph();
+    message(err.message, "err");
+  }
+}
+
+function reportNondeterministicSearch(search) {
+  const stats = `${search.explored} configuraciones exploradas, profundidad ${search.deepest}`;
+  if (search.status === "accept") {
+    message(
+      `MTN: una rama acepta en ${search.branch.length} paso(s) (${stats}). Usa Paso o la línea de tiempo para recorrerla.`,
+      "ok",
+    );
+  } else if (search.status === "limit") {
+    message(
+      `MTN: ninguna rama aceptó antes del límite de búsqueda (${stats}). Aumenta la profundidad máxima.`,
+      "warn",
+    );
+  } else {
+    message(`MTN: ninguna rama acepta; todas se detienen (${stats}).`, "warn");
+  }
+}
+
+function resetMachine() {
+  if (!machine) {
+    message("Primero inicializa la máquina.", "warn");
     return;
   }
 
@@ -1897,6 +2783,7 @@ function resetMachine() {
     }
 
     stopRun();
+    breakpointPause = null;
     machine.reset(tapes.map((t) => t.symbols));
     refreshStatus();
     renderTapes();
@@ -1915,6 +2802,7 @@ function runMachine() {
   const delay = Number(ui.speed.value);
   ui.pause.disabled = false;
   ui.run.disabled = true;
+  ui.runToEnd.disabled = true;
   ui.step.disabled = true;
 
   runTimer = setInterval(() => {
@@ -1924,20 +2812,311 @@ function runMachine() {
     }
     executeStep();
   }, delay);
+  refreshTimeline();
+}
+
+function cancelFastRun() {
+  if (!fastRun) return;
+  if (fastRun.worker) {
+    fastRun.worker.terminate();
+  }
+  if (fastRun.timer) {
+    clearTimeout(fastRun.timer);
+  }
+  if (fastRun.url) {
+    URL.revokeObjectURL(fastRun.url);
+  }
+  fastRun = null;
+}
+
+function createTmWorker() {
+  if (typeof Worker === "undefined") {
+    return null;
+  }
+  const source = [
+    `const TM_OUTCOME_LABELS = ${JSON.stringify(TM_OUTCOME_LABELS)};`,
+    `const TM_TRACE_LIMIT = ${TM_TRACE_LIMIT};`,
+    hashString.toString(),
+    MultiTapeTuringMachine.toString(),
+    `(${tmWorkerMain.toString()})();`,
+  ].join("\n");
+  const url = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+  try {
+    return { worker: new Worker(url), url };
+  } catch {
+    URL.revokeObjectURL(url);
+    return null;
+  }
+}
+
+function formatFinalTapes(target) {
+  return Array.from({ length: target.tapeCount }, (_, i) => {
+    const positions = [...target.tapes[i].keys()];
+    if (!positions.length) {
+      return `Cinta ${i + 1}: (vacía) · cabezal en ${target.heads[i]}`;
+    }
+    const from = Math.min(...positions);
+    const to = Math.max(...positions);
+    const cells = [];
+    for (let pos = from; pos <= to && cells.length < 400; pos += 1) {
+      cells.push(target.tapes[i].has(pos) ? target.tapes[i].get(pos) : target.blankSymbol);
+    }
+    const suffix = to - from + 1 > cells.length ? ",…" : "";
+    return `Cinta ${i + 1}: ${cells.join(",")}${suffix} · cabezal en ${target.heads[i]}`;
+  }).join("\n");
+}
+
+function finishFastRun(resultMessage, elapsed) {
+  cancelFastRun();
+  const outcome = machine.outcome ? TM_OUTCOME_LABELS[machine.outcome] : "En curso";
+  ui.runSummary.textContent = `${outcome} · estado ${machine.currentState} · ${machine.stepCount} pasos · ${elapsed.toFixed(1)} ms`;
+  ui.finalTapes.textContent = formatFinalTapes(machine);
+  ui.finalTapes.hidden = false;
+  setRunButtons(true);
+  refreshStatus();
+  renderTapes();
+  renderStateGraph();
+  message(resultMessage, machine.outcome === "accept" ? "ok" : "warn");
+}
+
+function runToCompletion() {
+  if (!machine || machine.halted) {
+    return;
+  }
+
+  stopRun();
+  applySimulationLimits();
+  ui.pause.disabled = false;
+  ui.run.disabled = true;
+  ui.runToEnd.disabled = true;
+  ui.step.disabled = true;
+  message("Ejecutando hasta el final...", "warn");
+
+  const created = createTmWorker();
+  if (created) {
+    fastRun = created;
+    created.worker.addEventListener("message", (event) => {
+      if (event.data.type === "progress") {
+        message(`Ejecutando hasta el final... paso ${event.data.stepCount}.`, "warn");
+        return;
+      }
+      machine.importState(event.data.state);
+      finishFastRun(event.data.message, event.data.elapsed);
+    });
+    created.worker.addEventListener("error", (event) => {
+      cancelFastRun();
+      setRunButtons(true);
+      refreshTimeline();
+      message(`Error en la ejecución: ${event.message}`, "err");
+    });
+    created.worker.postMessage({
+      definition: {
+        states: machine.states,
+        startState: machine.startState,
+        acceptStates: machine.acceptStates,
+        rejectStates: machine.rejectStates,
+        transitions: machine.transitions,
+        tapeCount: machine.tapeCount,
+      },
+      initialTapes: machine.initialTapes,
+      symbols: { blank: machine.blankSymbol, initial: machine.initialSymbol },
+      branch: machine.branch,
+      stepLimit: machine.stepLimit,
+      detectLoops: machine.detectLoops,
+      state: machine.exportState(),
+    });
+    refreshTimeline();
+    return;
+  }
+
+  // Sin Web Workers: ejecuta por bloques para no congelar la página.
+  const started = performance.now();
+  let lastResult = null;
+  const runChunk = () => {
+    for (let i = 0; i < 20000 && !machine.halted; i += 1) {
+      lastResult = machine.step();
+    }
+    if (machine.halted) {
+      finishFastRun(lastResult ? lastResult.message : machine.haltReason, performance.now() - started);
+      return;
+    }
+    message(`Ejecutando hasta el final... paso ${machine.stepCount}.`, "warn");
+    fastRun.timer = setTimeout(runChunk, 0);
+  };
+  fastRun = { timer: setTimeout(runChunk, 0) };
+  refreshTimeline();
+}
+
+// Formato por línea: "cinta 1 | resultado esperado | cintaN=contenido esperado ...".
+function parseTmTestCases(raw, tapeCount = getConfiguredTapeCount()) {
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const [tapeRaw, expectedRaw = "", ...outputRaw] = line.split("|").map((part) => part.trim());
+      const expected = TM_TEST_EXPECTATIONS[expectedRaw.toLowerCase()];
+      if (!expected) {
+        throw new Error(`Prueba ${index + 1}: el resultado esperado debe ser acepta, rechaza o detiene.`);
+      }
+      const outputs = outputRaw.filter(Boolean).map((part) => {
+        const match = part.match(/^cinta\s*(\d+)\s*=\s*(.*)$/i);
+        if (!match) {
+          throw new Error(`Prueba ${index + 1}: salida esperada inválida "${part}". Usa cinta1=>,1,1.`);
+        }
+        if (Number(match[1]) < 1 || Number(match[1]) > tapeCount) {
+          throw new Error(`Prueba ${index + 1}: la cinta de "${part}" no existe; usa cinta1 a cinta${tapeCount}.`);
+        }
+        return { tapeIndex: Number(match[1]) - 1, symbols: trimTrailingBlanks(parseTapeSymbols(match[2], `cinta${match[1]}`)) };
+      });
+      return { line, tape: parseTapeSymbols(tapeRaw, `cinta1 de la prueba ${index + 1}`), expected, outputs };
+    });
+}
+
+function trimTrailingBlanks(symbols, blankSymbol = "#") {
+  const trimmed = [...symbols];
+  while (trimmed.length && trimmed[trimmed.length - 1] === blankSymbol) {
+    trimmed.pop();
+  }
+  return trimmed;
+}
+
+function tapeContents(target, tapeIndex) {
+  const positions = [...target.tapes[tapeIndex].keys()];
+  if (!positions.length) {
+    return [];
+  }
+  const symbols = [];
+  for (let pos = Math.min(0, ...positions); pos <= Math.max(...positions); pos += 1) {
+    symbols.push(target.tapes[tapeIndex].has(pos) ? target.tapes[tapeIndex].get(pos) : target.blankSymbol);
+  }
+  return symbols;
+}
+
+function getTmTestMaxSteps() {
+  const parsed = Number.parseInt(ui.tmTestMaxSteps.value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 10000;
+}
+
+function runTmTestCase(definition, testCase, maxSteps) {
+  const tapes = [testCase.tape, ...Array.from({ length: definition.tapeCount - 1 }, () => [">"])];
+  const runner = new MultiTapeTuringMachine(definition, tapes, "#", ">");
+  runner.stepLimit = maxSteps;
+  runner.detectLoops = ui.detectLoops.checked;
+
+  if (definition.nondeterministic) {
+    const search = runner.exploreBranches(Math.min(getNtmMaxDepth(), maxSteps), NTM_MAX_CONFIGURATIONS);
+    if (search.status !== "accept") {
+      return { outcome: search.status, steps: search.deepest, runner: null };
+    }
+    runner.branch = search.branch;
+  }
+  while (!runner.halted) {
+    runner.step();
+  }
+  return { outcome: runner.outcome, steps: runner.stepCount, runner };
+}
+
+function renderResultsTable(table, headers, rows) {
+  table.innerHTML = "";
+  const head = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  headers.forEach((text) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement("tbody");
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.dataset.index = String(body.children.length);
+    if (row.status) {
+      tr.className = `result-${row.status}`;
+    }
+    row.cells.forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+
+  table.appendChild(head);
+  table.appendChild(body);
+  table.hidden = false;
+}
+
+function runTmTests() {
+  stopRun();
+  try {
+    const cases = parseTmTestCases(ui.tmTestCases.value);
+    if (!cases.length) {
+      throw new Error("Escribe al menos una prueba.");
+    }
+    const { definition } = buildMachineFromEditor();
+    const maxSteps = getTmTestMaxSteps();
+    let passed = 0;
+
+    const rows = cases.map((testCase, index) => {
+      const result = runTmTestCase(definition, testCase, maxSteps);
+      const mismatches = testCase.outputs.filter(({ tapeIndex, symbols }) => {
+        if (!result.runner || tapeIndex < 0 || tapeIndex >= definition.tapeCount) return true;
+        return trimTrailingBlanks(tapeContents(result.runner, tapeIndex)).join(",") !== symbols.join(",");
+      });
+      const ok = result.outcome === testCase.expected && !mismatches.length;
+      if (ok) passed += 1;
+
+      const output = result.runner
+        ? testCase.outputs.map(({ tapeIndex }) =>
+          tapeIndex >= 0 && tapeIndex < definition.tapeCount
+            ? `cinta${tapeIndex + 1}=${trimTrailingBlanks(tapeContents(result.runner, tapeIndex)).join(",")}`
+            : `cinta${tapeIndex + 1} no existe`,
+        ).join(" ")
+        : "-";
+      return {
+        status: ok ? "pass" : "fail",
+        cells: [
+          String(index + 1),
+          testCase.tape.join(","),
+          TM_OUTCOME_LABELS[testCase.expected],
+          TM_OUTCOME_LABELS[result.outcome],
+          String(result.steps),
+          output || "-",
+          ok ? "Correcta" : "Fallida",
+        ],
+      };
+    });
+
+    renderResultsTable(
+      ui.tmTestResults,
+      ["#", "Cinta 1", "Esperado", "Obtenido", "Pasos", "Salida", "Resultado"],
+      rows,
+    );
+    ui.tmTestSummary.textContent = `${passed} de ${cases.length} pruebas correctas (límite ${maxSteps} pasos).`;
+    message(
+      `Pruebas: ${passed} de ${cases.length} correctas.`,
+      passed === cases.length ? "ok" : "warn",
+    );
+  } catch (err) {
+    message(err.message, "err");
+  }
 }
 
 function loadExample() {
-  editor.nodes.clear();
-  editor.transitions = [];
-  editor.selectedTransitionKey = null;
+  recordHistory("tm", "Cargar ejemplo", () => {
+    editor.nodes.clear();
+    editor.transitions = [];
 
-  editor.nodes.set("e0", { x: 320, y: 240, isStart: true, isAccept: false });
-  editor.nodes.set("ef", { x: 760, y: 240, isStart: false, isAccept: true });
-  enforceMinNodeDistance(editor.nodes, null);
+    editor.nodes.set("e0", { x: 320, y: 240, isStart: true, isAccept: false });
+    editor.nodes.set("ef", { x: 760, y: 240, isStart: false, isAccept: true });
+    enforceMinNodeDistance(editor.nodes, null);
 
-  addOrReplaceTransition(parseTransitionLine("e0 (>,>) -> (->, ->, e0)"), { render: false });
-  addOrReplaceTransition(parseTransitionLine("e0 (1,#) -> (->, 1->, e0)"), { render: false });
-  addOrReplaceTransition(parseTransitionLine("e0 (#,#) -> (, , ef)"), { render: false });
+    addOrReplaceTransition(parseTransitionLine("e0 (>,>) -> (->, ->, e0)"), { render: false });
+    addOrReplaceTransition(parseTransitionLine("e0 (1,#) -> (->, 1->, e0)"), { render: false });
+    addOrReplaceTransition(parseTransitionLine("e0 (#,#) -> (, , ef)"), { render: false });
+  });
   editor.selectedTransitionKey = null;
 
   ui.tapeCount.value = "2";
@@ -1961,15 +3140,18 @@ function loadExample() {
 }
 
 function switchView(view) {
+  activeView = view;
   const views = {
     tm: ui.viewTM,
     fa: ui.viewFA,
     pda: ui.viewPDA,
+    cfg: ui.viewCFG,
   };
   const tabs = {
     tm: ui.tabTM,
     fa: ui.tabFA,
     pda: ui.tabPDA,
+    cfg: ui.tabCFG,
   };
   Object.entries(views).forEach(([key, el]) => {
     if (!el) return;
@@ -2003,6 +3185,44 @@ function layoutNodesInCircle(names, width = GRAPH_WIDTH, height = GRAPH_HEIGHT)
   return map;
 }
 
+// Columnas por distancia desde el inicial; los estados inalcanzables van en una última columna.
+function layoutNodesInLayers(names, startState, transitions, width = GRAPH_WIDTH, height = GRAPH_HEIGHT) {
+  const depth = new Map();
+  if (names.includes(startState)) depth.set(startState, 0);
+  const queue = depth.size ? [startState] : [];
+  while (queue.length) {
+    const state = queue.shift();
+    transitions.forEach((destSet, key) => {
+      if (key.split("|")[0] !== state) return;
+      destSet.forEach((to) => {
+        if (!depth.has(to)) {
+          depth.set(to, depth.get(state) + 1);
+          queue.push(to);
+        }
+      });
+    });
+  }
+  const lastColumn = Math.max(-1, ...depth.values()) + 1;
+  const columns = [];
+  names.forEach((name) => {
+    const column = depth.has(name) ? depth.get(name) : lastColumn;
+    if (!columns[column]) columns[column] = [];
+    columns[column].push(name);
+  });
+
+  const map = new Map();
+  const used = columns.filter(Boolean);
+  const stepX = used.length > 1 ? Math.max(110, (width - 140) / (used.length - 1)) : 0;
+  used.forEach((column, col) => {
+    const stepY = Math.max(90, (height - 100) / column.length);
+    const top = height / 2 - (stepY * (column.length - 1)) / 2;
+    column.forEach((name, row) => {
+      map.set(name, { x: (used.length > 1 ? 70 : width / 2) + col * stepX, y: top + row * stepY });
+    });
+  });
+  return map;
+}
+
 function nextStateName(editorData, prefix = "q") {
   let i = 0;
   while (editorData.nodes.has(`${prefix}${i}`)) i += 1;
@@ -2068,8 +3288,14 @@ function renderSimpleGraph(container, editorData, selectedTextEl) {
     const reverseKey = `${edge.toState}=>${edge.fromState}`;
     const hasReverse = pairTotals.has(reverseKey);
     const isSelectedEdge = editorData.selectedEdgeKey === edge.key;
+    const activeLabels = editorData.highlight?.edges.get(edge.key);
+    const partialLabels = editorData.highlight?.partialEdges?.get(edge.key);
+    const pathClasses = ["edge-path"];
+    if (activeLabels) pathClasses.push("edge-active");
+    else if (partialLabels) pathClasses.push("edge-partial");
+    if (isSelectedEdge) pathClasses.push("edge-selected");
     const path = createSvgElement("path", {
-      class: isSelectedEdge ? "edge-path edge-selected" : "edge-path",
+      class: pathClasses.join(" "),
       "marker-end": `url(#arrow-simple-${container.id})`,
       "data-edge": edge.key,
     });
@@ -2112,6 +3338,7 @@ function renderSimpleGraph(container, editorData, selectedTextEl) {
     label.setAttribute("y", String(ly));
     edge.labels.forEach((text, i) => {
       const t = createSvgElement("tspan", { x: String(lx), dy: i === 0 ? "0" : "1.15em", "data-edge": edge.key });
+      if (activeLabels?.has(text)) t.setAttribute("class", "edge-label-active");
       t.textContent = text;
       label.appendChild(t);
     });
@@ -2124,6 +3351,7 @@ function renderSimpleGraph(container, editorData, selectedTextEl) {
     if (node.isStart) classes.push("node-start");
     if (node.isAccept) classes.push("node-accept");
     if (editorData.selectedState === name) classes.push("node-selected");
+    if (editorData.highlight?.states.has(name)) classes.push("node-active");
     const circle = createSvgElement("circle", {
       cx: node.x,
       cy: node.y,
@@ -2164,6 +3392,7 @@ function renderSimpleGraph(container, editorData, selectedTextEl) {
   }
 
   container.appendChild(svg);
+  scheduleAutosave();
 }
 
 function getPointInGraph(container, event) {
@@ -2223,11 +3452,12 @@ function syncFaFormFromGraph() {
       return `${from},${symbol} -> ${[...toSet].join(",")}`;
     });
   ui.faTransitions.value = lines.join("\n");
+  invalidateFaResultsForA();
 }
 
-function loadFaGraphFromForm() {
+function loadFaGraphFromForm(historyLabel = "Cargar desde texto", before = captureWorkspaceForHistory("fa"), layout = layoutNodesInCircle) {
   const states = parseNameListCSV(ui.faStates.value);
-  const positions = layoutNodesInCircle(states);
+  const positions = layout(states);
   faGraphEditor.nodes.clear();
   states.forEach((s) => {
     const p = positions.get(s) || { x: GRAPH_WIDTH / 2, y: GRAPH_HEIGHT / 2 };
@@ -2258,6 +3488,7 @@ function loadFaGraphFromForm() {
   faGraphEditor.panActive = false;
   faGraphEditor.panPointerId = null;
   ui.faGraph.classList.remove("panning");
+  commitHistory("fa", historyLabel, before);
   renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
 }
 
@@ -2274,7 +3505,7 @@ function syncPdaFormFromGraph() {
   ui.pdaTransitions.value = lines.join("\n");
 }
 
-function loadPdaGraphFromForm() {
+function loadPdaGraphFromForm(historyLabel = "Cargar desde texto", before = captureWorkspaceForHistory("pda")) {
   const states = parseNameListCSV(ui.pdaStates.value);
   const positions = layoutNodesInCircle(states);
   pdaGraphEditor.nodes.clear();
@@ -2296,7 +3527,7 @@ function loadPdaGraphFromForm() {
         pdaGraphEditor.transitions.push({
           fromState: t.state,
           toState: t.nextState,
-          label: `${t.inputSym},${t.stackTop} -> ${t.push}`,
+          label: pdaTransitionLabel(t),
         });
       }
     });
@@ -2308,6 +3539,7 @@ function loadPdaGraphFromForm() {
   pdaGraphEditor.panActive = false;
   pdaGraphEditor.panPointerId = null;
   ui.pdaGraph.classList.remove("panning");
+  commitHistory("pda", historyLabel, before);
   renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
 }
 
@@ -2349,6 +3581,7 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
     }
     editorData.dragNode = state;
     editorData.dragPointerId = event.pointerId;
+    editorData.dragBefore = captureWorkspaceForHistory(kind);
     container.setPointerCapture(event.pointerId);
     renderSimpleGraph(container, editorData, selectedEl);
   });
@@ -2397,8 +3630,10 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
 
     if (editorData.dragNode) {
       try { container.releasePointerCapture(editorData.dragPointerId); } catch {}
+      commitHistory(kind, `Mover estado ${editorData.dragNode}`, editorData.dragBefore);
       editorData.dragNode = null;
       editorData.dragPointerId = null;
+      editorData.dragBefore = null;
       renderSimpleGraph(container, editorData, selectedEl);
       return;
     }
@@ -2411,18 +3646,22 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
           if (kind === "fa") {
             const label = window.prompt("Etiqueta (eps/ε, símbolo o varios separados por coma):", "0");
             if (label !== null) {
-              splitByCommaPreserve(label).map((x) => x.trim()).filter(Boolean).forEach((sym) => {
-                editorData.transitions.push({ fromState: from, toState: to, label: sym });
+              recordHistory(kind, "Crear transición", () => {
+                splitByCommaPreserve(label).map((x) => x.trim()).filter(Boolean).forEach((sym) => {
+                  editorData.transitions.push({ fromState: from, toState: to, label: sym });
+                });
+                syncFaFormFromGraph();
               });
               editorData.selectedEdgeKey = `${from}=>${to}`;
-              syncFaFormFromGraph();
             }
           } else {
             const label = window.prompt("Etiqueta PDA: input,top -> push", "eps,Z -> Z");
             if (label !== null && label.includes("->")) {
-              editorData.transitions.push({ fromState: from, toState: to, label: label.trim() });
+              recordHistory(kind, "Crear transición", () => {
+                editorData.transitions.push({ fromState: from, toState: to, label: label.trim() });
+                syncPdaFormFromGraph();
+              });
               editorData.selectedEdgeKey = `${from}=>${to}`;
-              syncPdaFormFromGraph();
             }
           }
         }
@@ -2442,12 +3681,14 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
       const current = edgeEntries.map((e) => e.label).join("\n");
       const updated = window.prompt("Editar etiquetas (una por línea):", current);
       if (updated !== null) {
-        editorData.transitions = editorData.transitions.filter((t) => `${t.fromState}=>${t.toState}` !== key);
-        updated.split("\n").map((x) => x.trim()).filter(Boolean).forEach((label) => {
-          const [fromState, toState] = key.split("=>");
-          editorData.transitions.push({ fromState, toState, label });
+        recordHistory(kind, "Editar transiciones", () => {
+          editorData.transitions = editorData.transitions.filter((t) => `${t.fromState}=>${t.toState}` !== key);
+          updated.split("\n").map((x) => x.trim()).filter(Boolean).forEach((label) => {
+            const [fromState, toState] = key.split("=>");
+            editorData.transitions.push({ fromState, toState, label });
+          });
+          if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
         });
-        if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
         renderSimpleGraph(container, editorData, selectedEl);
       }
       return;
@@ -2456,12 +3697,14 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
     if (nodeTarget) return;
     const p = getPointInGraph(container, event);
     const name = nextStateName(editorData, prefix);
-    const hasStart = [...editorData.nodes.values()].some((n) => n.isStart);
-    editorData.nodes.set(name, { x: p.x, y: p.y, isStart: !hasStart, isAccept: false });
+    recordHistory(kind, `Crear estado ${name}`, () => {
+      const hasStart = [...editorData.nodes.values()].some((n) => n.isStart);
+      editorData.nodes.set(name, { x: p.x, y: p.y, isStart: !hasStart, isAccept: false });
+      enforceMinNodeDistance(editorData.nodes, name);
+      if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
+    });
     editorData.selectedState = name;
     editorData.selectedEdgeKey = null;
-    enforceMinNodeDistance(editorData.nodes, name);
-    if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
     renderSimpleGraph(container, editorData, selectedEl);
   });
 
@@ -2476,15 +3719,17 @@ function bindSimpleGraphEditor(container, editorData, selectedEl, options) {
       return;
     }
     const edgeKey = editorData.selectedEdgeKey;
-    editorData.transitions = editorData.transitions.filter(
-      (t) => `${t.fromState}=>${t.toState}` !== edgeKey,
-    );
+    recordHistory(kind, `Eliminar flecha ${edgeKey}`, () => {
+      editorData.transitions = editorData.transitions.filter(
+        (t) => `${t.fromState}=>${t.toState}` !== edgeKey,
+      );
+      if (kind === "fa") {
+        syncFaFormFromGraph();
+      } else {
+        syncPdaFormFromGraph();
+      }
+    });
     editorData.selectedEdgeKey = null;
-    if (kind === "fa") {
-      syncFaFormFromGraph();
-    } else {
-      syncPdaFormFromGraph();
-    }
     renderSimpleGraph(container, editorData, selectedEl);
     event.preventDefault();
   });
@@ -2519,12 +3764,12 @@ function parseFaTransitions(raw) {
   return map;
 }
 
-function buildFaModel() {
-  const states = new Set(parseCsvList(ui.faStates.value));
-  const alphabet = new Set(parseCsvList(ui.faAlphabet.value).map((s) => normalizeEpsilonLabel(s)));
-  const startState = ui.faStartState.value.trim();
-  const acceptStates = new Set(parseCsvList(ui.faAcceptStates.value));
-  const transitions = parseFaTransitions(ui.faTransitions.value);
+function buildFaModel(fields = faFormFields()) {
+  const states = new Set(parseCsvList(fields.states.value));
+  const alphabet = new Set(parseCsvList(fields.alphabet.value).map((s) => normalizeEpsilonLabel(s)));
+  const startState = fields.startState.value.trim();
+  const acceptStates = new Set(parseCsvList(fields.acceptStates.value));
+  const transitions = parseFaTransitions(fields.transitions.value);
 
   if (!startState || !states.has(startState)) {
     throw new Error("Estado inicial inválido en AF.");
@@ -2559,9 +3804,12 @@ function evaluateFA(model, word) {
     destSet.forEach((to) => transitionsList.push({ from, label, to }));
   });
 
-  const q = [{ state: model.startState, pos: 0 }];
+  // Cada configuración guarda su padre y la transición usada para reconstruir el cómputo.
+  const q = [{ state: model.startState, pos: 0, parent: null, via: null }];
   const seen = new Set();
-  let accepted = false;
+  const dead = [];
+  let accepted = null;
+  let longestPrefix = 0;
   let frontier = new Set();
 
   while (q.length) {
@@ -2570,29 +3818,48 @@ function evaluateFA(model, word) {
     if (seen.has(cfgKey)) continue;
     seen.add(cfgKey);
     frontier.add(cfg.state);
+    longestPrefix = Math.max(longestPrefix, cfg.pos);
     if (cfg.pos === word.length && model.acceptStates.has(cfg.state)) {
-      accepted = true;
+      accepted = cfg;
       break;
     }
 
+    let moves = 0;
     transitionsList.forEach((t) => {
       if (t.from !== cfg.state) return;
       if (t.label === "eps") {
-        q.push({ state: t.to, pos: cfg.pos });
+        moves += 1;
+        q.push({ state: t.to, pos: cfg.pos, parent: cfg, via: t });
         return;
       }
       if (word.startsWith(t.label, cfg.pos)) {
-        q.push({ state: t.to, pos: cfg.pos + t.label.length });
+        moves += 1;
+        q.push({ state: t.to, pos: cfg.pos + t.label.length, parent: cfg, via: t });
       }
     });
+    if (!moves) {
+      dead.push(cfg);
+    }
   }
 
   return {
-    accepted,
+    accepted: Boolean(accepted),
+    path: accepted ? configurationPath(accepted) : null,
+    dead,
+    longestPrefix,
+    explored: [...frontier],
     detail: `Estados explorados: ${[...frontier].join(", ") || "∅"}`,
   };
 }
 
+function configurationPath(cfg) {
+  const path = [];
+  for (let node = cfg; node; node = node.parent) {
+    path.push(node);
+  }
+  return path.reverse();
+}
+
 function expandLabelsToUnitNFA(model) {
   const states = new Set(model.states);
   const transitions = new Map();
@@ -2696,6 +3963,7 @@ function determinizeNFA(nfaUnit) {
     startState: setKey(startSet),
     acceptStates,
     transitions,
+    subsets: states,
   };
 }
 
@@ -2719,6 +3987,8 @@ function minimizeDFA(dfa) {
   const nonAcc = new Set(allStates.filter((s) => !dfa.acceptStates.has(s)));
   if (acc.size) partitions.push(acc);
   if (nonAcc.size) partitions.push(nonAcc);
+  // Cada ronda guarda la partición resultante para mostrar el refinamiento.
+  const rounds = [partitions.map((p) => [...p])];
 
   let changed = true;
   while (changed) {
@@ -2740,6 +4010,7 @@ function minimizeDFA(dfa) {
       groups.forEach((g) => newParts.push(g));
     });
     partitions = newParts;
+    if (changed) rounds.push(partitions.map((p) => [...p]));
   }
 
   const partName = (part) => [...part].sort().join("_");
@@ -2767,6 +4038,8 @@ function minimizeDFA(dfa) {
     startState: stateToPart.get(dfa.startState),
     acceptStates,
     transitions,
+    rounds,
+    unreachable: [...dfa.states].filter((s) => !reachable.has(s)),
   };
 }
 
@@ -2781,59 +4054,1310 @@ function formatDFA(dfa) {
     .sort(([a], [b]) => a.localeCompare(b))
     .forEach(([k, v]) => {
       const [from, symbol] = k.split("|");
-      lines.push(`${from},${symbol} -> ${v}`);
+      lines.push(`${from},${symbol} -> ${v instanceof Set ? [...v].join(",") : v}`);
     });
   return lines.join("\n");
 }
 
-function handleFaEvaluate() {
-  try {
-    const model = buildFaModel();
-    const result = evaluateFA(model, ui.faInputWord.value);
-    ui.faResult.textContent = result.accepted ? "Aceptada" : "Rechazada";
-    ui.faMessage.textContent = result.detail;
-  } catch (err) {
-    ui.faResult.textContent = "Error";
-    ui.faMessage.textContent = err.message;
+// Expresiones regulares: unión |, concatenación, * y + posfijos, paréntesis, eps (ε) y ∅.
+function parseRegex(raw) {
+  const tokens = [];
+  const text = raw.trim();
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (/\s/.test(ch)) continue;
+    if (text.startsWith("eps", i)) {
+      tokens.push({ type: "eps" });
+      i += 2;
+    } else if (ch === "ε") {
+      tokens.push({ type: "eps" });
+    } else if (ch === "∅") {
+      tokens.push({ type: "empty" });
+    } else if ("|*+()".includes(ch)) {
+      tokens.push({ type: ch });
+    } else if (ch === ",") {
+      throw new Error("La coma no puede usarse como símbolo en la expresión regular.");
+    } else {
+      tokens.push({ type: "symbol", value: ch });
+    }
+  }
+  if (!tokens.length) {
+    throw new Error("Escribe una expresión regular.");
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos]?.type;
+  const parseUnion = () => {
+    const options = [parseConcat()];
+    while (peek() === "|") {
+      pos += 1;
+      options.push(parseConcat());
+    }
+    return options.length === 1 ? options[0] : { type: "union", items: options };
+  };
+  const parseConcat = () => {
+    const parts = [];
+    while (pos < tokens.length && peek() !== "|" && peek() !== ")") {
+      parts.push(parsePostfix());
+    }
+    if (!parts.length) {
+      throw new Error(`Expresión regular incompleta cerca de la posición ${pos + 1}.`);
+    }
+    return parts.length === 1 ? parts[0] : { type: "concat", items: parts };
+  };
+  const parsePostfix = () => {
+    let node = parseAtom();
+    while (peek() === "*" || peek() === "+") {
+      node = { type: peek() === "*" ? "star" : "plus", item: node };
+      pos += 1;
+    }
+    return node;
+  };
+  const parseAtom = () => {
+    const token = tokens[pos];
+    if (token.type === "(") {
+      pos += 1;
+      const inner = parseUnion();
+      if (peek() !== ")") {
+        throw new Error("Falta cerrar un paréntesis en la expresión regular.");
+      }
+      pos += 1;
+      return inner;
+    }
+    if (token.type === "symbol" || token.type === "eps" || token.type === "empty") {
+      pos += 1;
+      return token;
+    }
+    throw new Error(`Operador ${token.type} inesperado en la expresión regular.`);
+  };
+
+  const tree = parseUnion();
+  if (pos < tokens.length) {
+    throw new Error("Paréntesis de cierre sin abrir en la expresión regular.");
   }
+  return tree;
 }
 
-function handleFaMinimize() {
-  try {
-    const model = buildFaModel();
-    const nfaUnit = expandLabelsToUnitNFA(model);
-    const dfa = determinizeNFA(nfaUnit);
-    const minimized = minimizeDFA(dfa);
-    ui.faMinimizedOutput.value = formatDFA(minimized);
-    ui.faMessage.textContent = "AF convertido a DFA y minimizado.";
-  } catch (err) {
-    ui.faMinimizedOutput.value = "";
-    ui.faMessage.textContent = err.message;
+// Construcción de Thompson: cada fragmento tiene un único estado inicial y uno final.
+function regexToNfa(tree) {
+  const transitions = [];
+  let count = 0;
+  const newState = () => `t${count++}`;
+  const link = (from, label, to) => transitions.push({ from, label, to });
+  const build = (node) => {
+    const start = newState();
+    const end = newState();
+    if (node.type === "symbol") {
+      link(start, node.value, end);
+    } else if (node.type === "eps") {
+      link(start, "eps", end);
+    } else if (node.type === "union") {
+      node.items.forEach((item) => {
+        const inner = build(item);
+        link(start, "eps", inner.start);
+        link(inner.end, "eps", end);
+      });
+    } else if (node.type === "concat") {
+      let prev = start;
+      node.items.forEach((item) => {
+        const inner = build(item);
+        link(prev, "eps", inner.start);
+        prev = inner.end;
+      });
+      link(prev, "eps", end);
+    } else if (node.type === "star" || node.type === "plus") {
+      const inner = build(node.item);
+      link(start, "eps", inner.start);
+      link(inner.end, "eps", inner.start);
+      link(inner.end, "eps", end);
+      if (node.type === "star") link(start, "eps", end);
+    }
+    return { start, end };
+  };
+  const fragment = build(tree);
+
+  // Renombra en orden de recorrido para que q0 sea el inicial y los nombres sigan el diagrama.
+  const names = new Map([[fragment.start, "q0"]]);
+  const queue = [fragment.start];
+  while (queue.length) {
+    const state = queue.shift();
+    transitions.forEach((t) => {
+      if (t.from === state && !names.has(t.to)) {
+        names.set(t.to, `q${names.size}`);
+        queue.push(t.to);
+      }
+    });
   }
+  if (!names.has(fragment.end)) names.set(fragment.end, `q${names.size}`);
+  const reachable = transitions.filter((t) => names.has(t.from));
+
+  return {
+    states: [...names.values()],
+    alphabet: [...new Set(reachable.filter((t) => t.label !== "eps").map((t) => t.label))],
+    startState: "q0",
+    acceptStates: [names.get(fragment.end)],
+    lines: reachable
+      .sort((a, b) => Number(names.get(a.from).slice(1)) - Number(names.get(b.from).slice(1)))
+      .map((t) => `${names.get(t.from)},${t.label} -> ${names.get(t.to)}`),
+  };
 }
 
-function loadFaExample() {
-  ui.faStates.value = "q0,q1,q2,q3,q4";
-  ui.faAlphabet.value = "a,b";
-  ui.faStartState.value = "q0";
-  ui.faAcceptStates.value = "q4";
-  ui.faTransitions.value = [
-    "q0,eps -> q1",
-    "q1,ab -> q2",
-    "q1,a -> q3",
-    "q3,b -> q4",
-    "q2,eps -> q4",
-  ].join("\n");
-  ui.faInputWord.value = "ab";
-  ui.faResult.textContent = "-";
-  ui.faMessage.textContent = "Ejemplo AF cargado (eps y etiquetas multi-símbolo).";
-  ui.faMinimizedOutput.value = "";
+// Constructores con simplificaciones básicas para que la expresión obtenida por eliminación sea legible.
+function regexUnion(a, b) {
+  if (a.type === "empty") return b;
+  if (b.type === "empty") return a;
+  const items = [...(a.type === "union" ? a.items : [a])];
+  (b.type === "union" ? b.items : [b]).forEach((item) => {
+    if (!items.some((existing) => formatRegex(existing) === formatRegex(item))) items.push(item);
+  });
+  // ε|X+ se escribe X*.
+  const plusIndex = items.findIndex((item) => item.type === "plus");
+  const epsIndex = items.findIndex((item) => item.type === "eps");
+  if (plusIndex >= 0 && epsIndex >= 0) {
+    items[plusIndex] = { type: "star", item: items[plusIndex].item };
+    items.splice(epsIndex, 1);
+  }
+  return items.length === 1 ? items[0] : { type: "union", items };
 }
 
-function parsePdaTransitions(raw) {
-  const lines = raw
-    .split("\n")
-    .map((line) => line.trim())
+function regexConcat(a, b) {
+  if (a.type === "empty" || b.type === "empty") return { type: "empty" };
+  if (a.type === "eps") return b;
+  if (b.type === "eps") return a;
+  const items = [...(a.type === "concat" ? a.items : [a]), ...(b.type === "concat" ? b.items : [b])];
+  // XX* se escribe X+.
+  for (let i = 0; i < items.length; i += 1) {
+    if (items[i].type !== "star") continue;
+    const inner = items[i].item.type === "concat" ? items[i].item.items : [items[i].item];
+    const prefix = items.slice(i - inner.length, i);
+    if (i >= inner.length && prefix.map((item) => formatRegex(item)).join() === inner.map((item) => formatRegex(item)).join()) {
+      items.splice(i - inner.length, inner.length + 1, { type: "plus", item: items[i].item });
+      i -= inner.length;
+    }
+  }
+  return items.length === 1 ? items[0] : { type: "concat", items };
+}
+
+function regexStar(a) {
+  if (a.type === "empty" || a.type === "eps") return { type: "eps" };
+  if (a.type === "star") return a;
+  if (a.type === "plus") return { type: "star", item: a.item };
+  if (a.type === "union") {
+    const rest = a.items.filter((item) => item.type !== "eps");
+    if (rest.length < a.items.length) return regexStar(rest.length === 1 ? rest[0] : { type: "union", items: rest });
+  }
+  return { type: "star", item: a };
+}
+
+function regexFromLabel(label) {
+  if (label === "eps") return { type: "eps" };
+  return [...label].map((ch) => ({ type: "symbol", value: ch })).reduce(regexConcat);
+}
+
+function formatRegex(node, context = "union") {
+  const wrap = (text, needed) => (needed ? `(${text})` : text);
+  switch (node.type) {
+    case "empty":
+      return "∅";
+    case "eps":
+      return "ε";
+    case "symbol":
+      return node.value;
+    case "union":
+      return wrap(node.items.map((item) => formatRegex(item, "union")).join("|"), context !== "union");
+    case "concat":
+      return wrap(node.items.map((item) => formatRegex(item, "concat")).join(""), context === "postfix");
+    default:
+      return `${formatRegex(node.item, "postfix")}${node.type === "star" ? "*" : "+"}`;
+  }
+}
+
+// Eliminación de estados sobre un AFN generalizado con inicial y final nuevos.
+function faToRegex(model) {
+  const START = "\u0000inicio";
+  const END = "\u0000fin";
+  const edges = new Map();
+  const addEdge = (from, to, regex) => {
+    const key = `${from}\u0001${to}`;
+    edges.set(key, edges.has(key) ? regexUnion(edges.get(key), regex) : regex);
+  };
+  addEdge(START, model.startState, { type: "eps" });
+  model.acceptStates.forEach((state) => addEdge(state, END, { type: "eps" }));
+  model.transitions.forEach((destSet, key) => {
+    const [from, label] = key.split("|");
+    destSet.forEach((to) => addEdge(from, to, regexFromLabel(normalizeEpsilonLabel(label))));
+  });
+
+  const pending = new Set(model.states);
+  while (pending.size) {
+    // Elimina primero el estado con menos combinaciones entrada × salida.
+    const degree = (state) => {
+      let incoming = 0;
+      let outgoing = 0;
+      edges.forEach((_, key) => {
+        const [from, to] = key.split("\u0001");
+        if (from === state && to !== state) outgoing += 1;
+        if (to === state && from !== state) incoming += 1;
+      });
+      return incoming * outgoing;
+    };
+    const state = [...pending].reduce((best, candidate) => (degree(candidate) < degree(best) ? candidate : best));
+    pending.delete(state);
+
+    const loop = edges.get(`${state}\u0001${state}`);
+    const loopRegex = loop ? regexStar(loop) : { type: "eps" };
+    const incoming = [];
+    const outgoing = [];
+    [...edges.entries()].forEach(([key, regex]) => {
+      const [from, to] = key.split("\u0001");
+      if (from === state || to === state) edges.delete(key);
+      if (to === state && from !== state) incoming.push([from, regex]);
+      if (from === state && to !== state) outgoing.push([to, regex]);
+    });
+    incoming.forEach(([from, inRegex]) => {
+      outgoing.forEach(([to, outRegex]) => {
+        addEdge(from, to, regexConcat(regexConcat(inRegex, loopRegex), outRegex));
+      });
+    });
+  }
+
+  return edges.get(`${START}\u0001${END}`) || { type: "empty" };
+}
+
+// Reemplaza el AF del editor (formulario y diagrama) por un autómata generado, en una sola entrada del historial.
+function fillFaForm(generated, historyLabel, legend = "") {
+  if (faStepper.model) {
+    stopFaStepper();
+  }
+  const before = captureWorkspaceForHistory("fa");
+  invalidateFaResultsForA();
+  ui.faStates.value = generated.states.join(",");
+  ui.faAlphabet.value = generated.alphabet.join(",");
+  ui.faStartState.value = generated.startState;
+  ui.faAcceptStates.value = generated.acceptStates.join(",");
+  ui.faTransitions.value = generated.lines.join("\n");
+  loadFaGraphFromForm(historyLabel, before, (names) =>
+    layoutNodesInLayers(names, generated.startState, parseFaTransitions(ui.faTransitions.value)),
+  );
+  ui.faStateLegend.textContent = legend;
+  ui.faStateLegend.hidden = !legend;
+  ui.faResult.textContent = "-";
+}
+
+function handleRegexToNfa() {
+  try {
+    const nfa = regexToNfa(parseRegex(ui.faRegex.value));
+    fillFaForm(nfa, "Generar AF desde expresión regular");
+    ui.faMessage.textContent = `AFN-ε de Thompson generado: ${nfa.states.length} estados, ${nfa.lines.length} transiciones.`;
+  } catch (err) {
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+function handleFaToRegex() {
+  try {
+    const regex = formatRegex(faToRegex(buildFaModel()));
+    ui.faRegexOutput.value = regex;
+    ui.faMessage.textContent = "Expresión regular obtenida por eliminación de estados.";
+  } catch (err) {
+    ui.faRegexOutput.value = "";
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+const TRACE_DEAD_LIMIT = 50;
+
+function describePrefix(word, longestPrefix) {
+  return `Prefijo más largo consumido: ${word.slice(0, longestPrefix) || "ε"} (${longestPrefix} de ${word.length} símbolo(s)).`;
+}
+
+function handleFaEvaluate() {
+  if (faStepper.model) {
+    stopFaStepper();
+  }
+  try {
+    const model = buildFaModel();
+    const word = ui.faInputWord.value;
+    const result = evaluateFA(model, word);
+    ui.faResult.textContent = result.accepted ? "Aceptada" : "Rechazada";
+    ui.faMessage.textContent = result.accepted
+      ? `${result.detail} · Cómputo de ${result.path.length - 1} transición(es).`
+      : `${result.detail} · ${describePrefix(word, result.longestPrefix)}`;
+
+    const configs = result.accepted ? result.path : result.dead.slice(0, TRACE_DEAD_LIMIT);
+    evaluationTraces.fa = { configs };
+    ui.faTraceTitle.textContent = result.accepted
+      ? "Cómputo de aceptación (clic en una fila para resaltarla):"
+      : `Configuraciones donde murió cada rama (${result.dead.length}${result.dead.length > configs.length ? `, se muestran ${configs.length}` : ""}):`;
+    ui.faTraceTitle.hidden = false;
+    renderResultsTable(
+      ui.faTrace,
+      ["#", "Estado", "Consumido", "Resta", "Transición"],
+      configs.map((cfg, index) => ({
+        cells: [
+          String(index),
+          cfg.state,
+          word.slice(0, cfg.pos) || "ε",
+          word.slice(cfg.pos) || "ε",
+          cfg.via ? formatFaMove(cfg.via) : "inicio",
+        ],
+      })),
+    );
+    highlightFaTrace(null);
+  } catch (err) {
+    evaluationTraces.fa = null;
+    ui.faTraceTitle.hidden = true;
+    ui.faTrace.hidden = true;
+    ui.faResult.textContent = "Error";
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+function traceHighlight(configs, edgeOf) {
+  const edges = new Map();
+  configs.forEach((cfg) => {
+    const edge = edgeOf(cfg);
+    if (!edge) return;
+    if (!edges.has(edge.key)) edges.set(edge.key, new Set());
+    edges.get(edge.key).add(edge.label);
+  });
+  return { states: new Set(configs.map((cfg) => cfg.state)), edges };
+}
+
+function markTraceRow(table, index) {
+  table.querySelectorAll("tbody tr").forEach((row) => {
+    row.classList.toggle("selected", row.dataset.index === String(index));
+  });
+}
+
+// Sin índice resalta todo el cómputo; con índice, solo esa configuración y la transición que llevó a ella.
+function highlightFaTrace(index) {
+  const trace = evaluationTraces.fa;
+  if (!trace) return;
+  const configs = index === null ? trace.configs : [trace.configs[index]];
+  faGraphEditor.highlight = traceHighlight(configs, (cfg) =>
+    cfg.via ? { key: `${cfg.via.from}=>${cfg.via.to}`, label: cfg.via.label } : null,
+  );
+  markTraceRow(ui.faTrace, index);
+  renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
+}
+
+function highlightPdaTrace(index) {
+  const trace = evaluationTraces.pda;
+  if (!trace) return;
+  const configs = index === null ? trace.configs : [trace.configs[index]];
+  pdaGraphEditor.highlight = traceHighlight(configs, (cfg) =>
+    cfg.transition
+      ? { key: `${cfg.transition.state}=>${cfg.transition.nextState}`, label: pdaTransitionLabel(cfg.transition) }
+      : null,
+  );
+  markTraceRow(ui.pdaTrace, index);
+  renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
+}
+
+// Una palabra por línea, opcionalmente "palabra | acepta" o "palabra | rechaza"; eps o ε es la cadena vacía.
+function parseBatchWords(raw) {
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, index) => {
+      const [wordRaw, expectedRaw = ""] = line.split("|").map((part) => part.trim());
+      const word = normalizeEpsilonLabel(wordRaw) === "eps" ? "" : wordRaw;
+      if (!expectedRaw) {
+        return { word, expected: null };
+      }
+      const expected = BATCH_EXPECTATIONS[expectedRaw.toLowerCase()];
+      if (typeof expected !== "boolean") {
+        throw new Error(`Línea ${index + 1}: el resultado esperado debe ser acepta o rechaza.`);
+      }
+      return { word, expected };
+    });
+}
+
+function batchVerdict(accepted, expected) {
+  if (expected === null) {
+    return { status: null, text: "-" };
+  }
+  return accepted === expected
+    ? { status: "pass", text: "Correcta" }
+    : { status: "fail", text: "Discrepancia" };
+}
+
+function handleFaBatchEvaluate() {
+  try {
+    const entries = parseBatchWords(ui.faBatchWords.value);
+    if (!entries.length) {
+      throw new Error("Escribe al menos una cadena para el lote.");
+    }
+    const model = buildFaModel();
+    let accepted = 0;
+    let mismatches = 0;
+
+    const rows = entries.map((entry, index) => {
+      const result = evaluateFA(model, entry.word);
+      const verdict = batchVerdict(result.accepted, entry.expected);
+      if (result.accepted) accepted += 1;
+      if (verdict.status === "fail") mismatches += 1;
+      return {
+        status: verdict.status,
+        cells: [
+          String(index + 1),
+          entry.word || "ε",
+          entry.expected === null ? "-" : entry.expected ? "Aceptada" : "Rechazada",
+          result.accepted ? "Aceptada" : "Rechazada",
+          result.explored.join(", ") || "∅",
+          verdict.text,
+        ],
+      };
+    });
+
+    renderResultsTable(
+      ui.faBatchResults,
+      ["#", "Cadena", "Esperado", "Obtenido", "Estados explorados", "Resultado"],
+      rows,
+    );
+    ui.faBatchSummary.textContent = `${accepted} de ${entries.length} cadenas aceptadas · ${mismatches} discrepancia(s).`;
+    ui.faMessage.textContent = mismatches
+      ? `Lote evaluado con ${mismatches} discrepancia(s) respecto a lo esperado.`
+      : "Lote evaluado sin discrepancias.";
+  } catch (err) {
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+function faStepEpsilonClosure(model, states, taken) {
+  const closure = new Set(states);
+  const stack = [...states];
+  while (stack.length) {
+    const state = stack.pop();
+    (model.transitions.get(`${state}|eps`) || new Set()).forEach((to) => {
+      taken.push({ from: state, label: "eps", to });
+      if (!closure.has(to)) {
+        closure.add(to);
+        stack.push(to);
+      }
+    });
+  }
+  return closure;
+}
+
+function startFaStepper() {
+  try {
+    const model = buildFaModel();
+    const taken = [];
+    evaluationTraces.fa = null;
+    markTraceRow(ui.faTrace, null);
+    faStepper.model = model;
+    faStepper.word = ui.faInputWord.value;
+    faStepper.pos = 0;
+    faStepper.partial = [];
+    faStepper.active = faStepEpsilonClosure(model, [model.startState], taken);
+    faStepper.taken = taken;
+    faStepper.history = [];
+    renderFaStepper();
+  } catch (err) {
+    ui.faResult.textContent = "Error";
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+// Una etiqueta de varios símbolos se recorre símbolo a símbolo; mientras tanto queda "en curso" sobre la flecha.
+function stepFaStepper() {
+  if (!faStepper.model || faStepper.pos >= faStepper.word.length) {
+    return;
+  }
+  if (!faStepper.active.size && !faStepper.partial.length) {
+    return;
+  }
+
+  const { model } = faStepper;
+  const symbol = faStepper.word[faStepper.pos];
+  const reached = new Set();
+  const partial = new Map();
+  const taken = [];
+  const advance = (from, label, to, consumed) => {
+    if (consumed === label.length) {
+      reached.add(to);
+      taken.push({ from, label, to });
+    } else {
+      partial.set(`${from}|${label}|${to}|${consumed}`, { from, label, to, consumed });
+    }
+  };
+
+  faStepper.active.forEach((state) => {
+    model.transitions.forEach((destSet, key) => {
+      const [from, label] = key.split("|");
+      if (from !== state || label === "eps" || label[0] !== symbol) return;
+      destSet.forEach((to) => advance(from, label, to, 1));
+    });
+  });
+  faStepper.partial.forEach(({ from, label, to, consumed }) => {
+    if (label[consumed] === symbol) {
+      advance(from, label, to, consumed + 1);
+    }
+  });
+
+  faStepper.history.push({
+    pos: faStepper.pos,
+    active: faStepper.active,
+    partial: faStepper.partial,
+    taken: faStepper.taken,
+  });
+  faStepper.pos += 1;
+  faStepper.active = faStepEpsilonClosure(model, [...reached], taken);
+  faStepper.partial = [...partial.values()];
+  faStepper.taken = taken;
+  renderFaStepper();
+}
+
+function stepBackFaStepper() {
+  const previous = faStepper.history.pop();
+  if (!previous) {
+    return;
+  }
+  Object.assign(faStepper, previous);
+  renderFaStepper();
+}
+
+function stopFaStepper() {
+  faStepper.model = null;
+  faStepper.history = [];
+  faGraphEditor.highlight = null;
+  ui.faStepPanel.hidden = true;
+  ui.faStepBack.disabled = true;
+  ui.faStepNext.disabled = true;
+  ui.faStepStop.disabled = true;
+  renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
+}
+
+function formatFaMove({ from, label, to }) {
+  return `${from} --${label === "eps" ? "ε" : label}--> ${to}`;
+}
+
+function renderFaStepper() {
+  const { word, pos, active, partial, taken } = faStepper;
+  const finished = pos >= word.length;
+  const stuck = !active.size && !partial.length;
+
+  ui.faStepInput.innerHTML = "";
+  const consumed = document.createElement("span");
+  consumed.className = "input-consumed";
+  consumed.textContent = word.slice(0, pos);
+  const remaining = document.createElement("span");
+  remaining.className = "input-remaining";
+  remaining.textContent = word.slice(pos);
+  ui.faStepInput.appendChild(consumed);
+  ui.faStepInput.appendChild(remaining);
+  if (!word) {
+    ui.faStepInput.textContent = "ε";
+  }
+
+  const partialText = partial.map((p) => `${p.from} --${p.label}--> ${p.to} (${p.consumed}/${p.label.length})`);
+  ui.faStepActive.textContent = `{${[...active].join(", ")}}${partialText.length ? ` · en curso: ${partialText.join("; ")}` : ""}`;
+  ui.faStepTaken.textContent = taken.length ? taken.map(formatFaMove).join("; ") : "(ninguna)";
+
+  const accepted = [...active].some((state) => faStepper.model.acceptStates.has(state));
+  if (finished) {
+    ui.faResult.textContent = accepted ? "Aceptada" : "Rechazada";
+  } else {
+    ui.faResult.textContent = stuck ? "Rechazada" : "En curso";
+  }
+  ui.faMessage.textContent = stuck
+    ? `Sin estados activos tras leer ${pos} símbolo(s).`
+    : `Paso ${pos} de ${word.length}.`;
+
+  const edges = new Map();
+  taken.forEach(({ from, label, to }) => {
+    const key = `${from}=>${to}`;
+    if (!edges.has(key)) edges.set(key, new Set());
+    edges.get(key).add(label);
+  });
+  const partialEdges = new Map();
+  partial.forEach(({ from, label, to }) => {
+    const key = `${from}=>${to}`;
+    if (!partialEdges.has(key)) partialEdges.set(key, new Set());
+    partialEdges.get(key).add(label);
+  });
+  faGraphEditor.highlight = { states: active, edges, partialEdges };
+
+  ui.faStepPanel.hidden = false;
+  ui.faStepBack.disabled = pos === 0;
+  ui.faStepNext.disabled = finished || stuck;
+  ui.faStepStop.disabled = false;
+  renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
+}
+
+// Nombres cortos en orden de recorrido desde el inicial: D0, D1, ... para el DFA y M0, M1, ... para el mínimo.
+function shortStateNames(dfa, prefix) {
+  const alphabet = [...dfa.alphabet];
+  const names = new Map([[dfa.startState, `${prefix}0`]]);
+  const queue = [dfa.startState];
+  while (queue.length) {
+    const state = queue.shift();
+    alphabet.forEach((symbol) => {
+      const next = dfa.transitions.get(`${state}|${symbol}`);
+      if (next !== undefined && !names.has(next)) {
+        names.set(next, `${prefix}${names.size}`);
+        queue.push(next);
+      }
+    });
+  }
+  [...dfa.states].forEach((state) => {
+    if (!names.has(state)) names.set(state, `${prefix}${names.size}`);
+  });
+  return names;
+}
+
+function renameDFA(dfa, names) {
+  const transitions = new Map();
+  dfa.transitions.forEach((to, key) => {
+    const [from, symbol] = key.split("|");
+    transitions.set(`${names.get(from)}|${symbol}`, names.get(to));
+  });
+  return {
+    states: new Set([...names.values()]),
+    alphabet: new Set(dfa.alphabet),
+    startState: names.get(dfa.startState),
+    acceptStates: new Set([...dfa.acceptStates].map((state) => names.get(state))),
+    transitions,
+  };
+}
+
+function dfaToFaForm(dfa) {
+  return {
+    states: [...dfa.states],
+    alphabet: [...dfa.alphabet],
+    startState: dfa.startState,
+    acceptStates: [...dfa.acceptStates],
+    lines: [...dfa.transitions.entries()]
+      .sort(([a], [b]) => compareStateNames(a, b))
+      .map(([key, to]) => `${key.replace("|", ",")} -> ${to}`),
+  };
+}
+
+// Ejecuta determinización y minimización con nombres cortos y leyendas hacia los subconjuntos originales.
+function buildFaPipeline(model) {
+  const nfaUnit = expandLabelsToUnitNFA(model);
+  const rawDfa = determinizeNFA(nfaUnit);
+  const dfaNames = shortStateNames(rawDfa, "D");
+  const dfa = renameDFA(rawDfa, dfaNames);
+  dfa.subsets = new Map([...rawDfa.subsets].map(([key, subset]) => [dfaNames.get(key), subset]));
+  const rawMinimized = minimizeDFA(dfa);
+  const minNames = shortStateNames(rawMinimized, "M");
+  const minimized = renameDFA(rawMinimized, minNames);
+  minimized.rounds = rawMinimized.rounds;
+  minimized.unreachable = rawMinimized.unreachable;
+  minimized.blocks = new Map([...minNames].map(([key, name]) => [name, key.split("_").sort(compareStateNames)]));
+
+  const dfaLegend = [...dfa.subsets].map(([name, subset]) => `${name} = ${formatSubset(subset)}`);
+  const minLegend = [...minimized.blocks].map(([name, block]) => `${name} = {${block.join(", ")}}`);
+  return {
+    nfaUnit,
+    dfa,
+    minimized,
+    dfaLegend: dfaLegend.join("; "),
+    minLegend: `${minLegend.join("; ")}. Con ${dfaLegend.join("; ")}`,
+  };
+}
+
+function compareStateNames(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+// El subconjunto vacío es el estado trampa que la determinización agrega cuando falta alguna transición.
+function formatSubset(subset) {
+  return subset.size ? `{${[...subset].sort(compareStateNames).join(", ")}}` : "∅ (trampa)";
+}
+
+function renderSubsetTable(dfa) {
+  const alphabet = [...dfa.alphabet];
+  const rows = [...dfa.subsets.entries()].map(([name, subset]) => ({
+    cells: [
+      `${name === dfa.startState ? "→" : ""}${dfa.acceptStates.has(name) ? "*" : ""}`,
+      name,
+      formatSubset(subset),
+      ...alphabet.map((symbol) => dfa.transitions.get(`${name}|${symbol}`) || "-"),
+    ],
+  }));
+  renderResultsTable(ui.faSubsetTable, ["", "Estado DFA", "Subconjunto AFN (clausura ε)", ...alphabet.map((a) => `δ(·, ${a})`)], rows);
+}
+
+function renderPartitionRounds(minimized) {
+  const rows = minimized.rounds.map((partition, index) => ({
+    cells: [String(index), partition.map((block) => `{${block.join(", ")}}`).join("  ")],
+  }));
+  renderResultsTable(ui.faPartitionRounds, ["Ronda", "Bloques de la partición"], rows);
+}
+
+function clearFaMinimizeStages() {
+  faPipeline = null;
+  ui.faLoadDfa.disabled = true;
+  ui.faLoadMinimized.disabled = true;
+  ui.faUnitNfaOutput.value = "";
+  ui.faSubsetTable.hidden = true;
+  ui.faPartitionRounds.hidden = true;
+  ui.faMinimizeStages.hidden = true;
+  ui.faMinimizedOutput.value = "";
+}
+
+function clearFaBooleanResult() {
+  faBooleanResult = null;
+  ui.faBooleanOutput.value = "";
+  ui.faLoadBoolean.disabled = true;
+  if (ui.faDeltaSource.value === "boolean") {
+    clearFaDeltaTable();
+  }
+}
+
+// Las etapas de minimización, la leyenda y la operación con B describen el A anterior: se descartan al editarlo.
+function invalidateFaResultsForA() {
+  clearFaMinimizeStages();
+  clearFaBooleanResult();
+  clearFaDeltaTable();
+  ui.faStateLegend.hidden = true;
+}
+
+function faSymbols(model) {
+  return [...model.alphabet].filter((a) => a !== "eps").flatMap((a) => [...a]);
+}
+
+// DFA completo (con estado ∅ si hace falta) sobre el alfabeto indicado, con nombres cortos.
+function completeDfaOf(model, alphabet, prefix) {
+  const nfaUnit = expandLabelsToUnitNFA(model);
+  nfaUnit.alphabet = new Set([...nfaUnit.alphabet, ...alphabet]);
+  const raw = determinizeNFA(nfaUnit);
+  const names = shortStateNames(raw, prefix);
+  const dfa = renameDFA(raw, names);
+  dfa.subsets = new Map([...raw.subsets].map(([key, subset]) => [names.get(key), subset]));
+  return dfa;
+}
+
+// Producto de dos DFA completos; accept decide la aceptación de cada par.
+function productDFA(dfaA, dfaB, accept) {
+  const alphabet = [...new Set([...dfaA.alphabet, ...dfaB.alphabet])];
+  const pairs = new Map();
+  const transitions = new Map();
+  const queue = [];
+  const pairName = (a, b) => `(${a}, ${b})`;
+  const visit = (a, b) => {
+    const name = pairName(a, b);
+    if (!pairs.has(name)) {
+      pairs.set(name, [a, b]);
+      queue.push(name);
+    }
+    return name;
+  };
+  const startState = visit(dfaA.startState, dfaB.startState);
+  while (queue.length) {
+    const name = queue.shift();
+    const [a, b] = pairs.get(name);
+    alphabet.forEach((symbol) => {
+      const nextA = dfaA.transitions.get(`${a}|${symbol}`);
+      const nextB = dfaB.transitions.get(`${b}|${symbol}`);
+      transitions.set(`${name}|${symbol}`, visit(nextA, nextB));
+    });
+  }
+  const acceptStates = new Set(
+    [...pairs].filter(([, [a, b]]) => accept(dfaA.acceptStates.has(a), dfaB.acceptStates.has(b))).map(([name]) => name),
+  );
+  return { states: new Set(pairs.keys()), alphabet: new Set(alphabet), startState, acceptStates, transitions, pairs };
+}
+
+function complementDFA(dfa) {
+  return { ...dfa, acceptStates: new Set([...dfa.states].filter((state) => !dfa.acceptStates.has(state))) };
+}
+
+const FA_BOOLEAN_OPERATIONS = {
+  union: { label: "A ∪ B", accept: (a, b) => a || b },
+  intersection: { label: "A ∩ B", accept: (a, b) => a && b },
+  difference: { label: "A − B", accept: (a, b) => a && !b },
+  complement: { label: "complemento de A" },
+};
+
+function faSlotBFields() {
+  return {
+    states: ui.faBStates,
+    alphabet: ui.faBAlphabet,
+    startState: ui.faBStartState,
+    acceptStates: ui.faBAcceptStates,
+    transitions: ui.faBTransitions,
+  };
+}
+
+function handleFaCopyToB() {
+  const fieldsA = faFormFields();
+  Object.entries(faSlotBFields()).forEach(([key, el]) => {
+    el.value = fieldsA[key].value;
+  });
+  clearFaBooleanResult();
+  ui.faMessage.textContent = "Autómata A copiado en B.";
+  scheduleAutosave();
+}
+
+function handleFaBooleanOperation(operation) {
+  const { label, accept } = FA_BOOLEAN_OPERATIONS[operation];
+  try {
+    const modelA = buildFaModel();
+    let result;
+    let legend;
+    if (operation === "complement") {
+      const dfaA = completeDfaOf(modelA, faSymbols(modelA), "A");
+      result = complementDFA(dfaA);
+      legend = [...dfaA.subsets].map(([name, subset]) => `${name} = ${formatSubset(subset)}`);
+    } else {
+      const modelB = buildFaModel(faSlotBFields());
+      const alphabet = new Set([...faSymbols(modelA), ...faSymbols(modelB)]);
+      const dfaA = completeDfaOf(modelA, alphabet, "A");
+      const dfaB = completeDfaOf(modelB, alphabet, "B");
+      const product = productDFA(dfaA, dfaB, accept);
+      const names = shortStateNames(product, "P");
+      result = renameDFA(product, names);
+      legend = [...names].map(([pair, name]) => `${name} = ${pair}`);
+      legend.push(...[dfaA, dfaB].flatMap((dfa) => [...dfa.subsets].map(([name, subset]) => `${name} = ${formatSubset(subset)}`)));
+    }
+    faBooleanResult = { dfa: result, label, legend: legend.join("; ") };
+    ui.faBooleanOutput.value = `${formatDFA(result)}\nLeyenda: ${faBooleanResult.legend}`;
+    ui.faLoadBoolean.disabled = false;
+    ui.faMessage.textContent = `DFA de ${label}: ${result.states.size} estados, ${result.acceptStates.size} de aceptación.`;
+  } catch (err) {
+    clearFaBooleanResult();
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+function faModelFromGenerated(generated) {
+  return {
+    states: new Set(generated.states),
+    alphabet: new Set(generated.alphabet),
+    startState: generated.startState,
+    acceptStates: new Set(generated.acceptStates),
+    transitions: parseFaTransitions(generated.lines.join("\n")),
+  };
+}
+
+// BFS sobre el producto en orden de alfabeto: la primera discrepancia da la palabra más corta (y menor en orden) que los distingue.
+function shortestDistinguishingWord(dfaA, dfaB) {
+  const alphabet = [...new Set([...dfaA.alphabet, ...dfaB.alphabet])].sort();
+  const start = [dfaA.startState, dfaB.startState];
+  const seen = new Map([[start.join("\u0001"), ""]]);
+  const queue = [start];
+  while (queue.length) {
+    const [a, b] = queue.shift();
+    const word = seen.get(`${a}\u0001${b}`);
+    const acceptA = dfaA.acceptStates.has(a);
+    if (acceptA !== dfaB.acceptStates.has(b)) {
+      return { word, acceptedBy: acceptA ? "A" : "B" };
+    }
+    alphabet.forEach((symbol) => {
+      const next = [dfaA.transitions.get(`${a}|${symbol}`), dfaB.transitions.get(`${b}|${symbol}`)];
+      const key = next.join("\u0001");
+      if (!seen.has(key)) {
+        seen.set(key, word + symbol);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+}
+
+function handleFaEquivalence() {
+  const withRegex = ui.faEquivalenceTarget.value === "regex";
+  const otherName = withRegex ? "la expresión regular" : "B";
+  try {
+    const modelA = buildFaModel();
+    const modelB = withRegex ? faModelFromGenerated(regexToNfa(parseRegex(ui.faRegex.value))) : buildFaModel(faSlotBFields());
+    const alphabet = new Set([...faSymbols(modelA), ...faSymbols(modelB)]);
+    const minA = minimizeDFA(completeDfaOf(modelA, alphabet, "A"));
+    const minB = minimizeDFA(completeDfaOf(modelB, alphabet, "B"));
+    const difference = shortestDistinguishingWord(minA, minB);
+    if (!difference) {
+      ui.faMessage.textContent = `Equivalentes: A y ${otherName} aceptan el mismo lenguaje (DFA mínimo completo de ${minA.states.size} estados).`;
+      return;
+    }
+    const shown = difference.word || "ε";
+    const [accepts, rejects] = difference.acceptedBy === "A" ? ["A", otherName] : [otherName, "A"];
+    ui.faMessage.textContent = `No equivalentes: la cadena más corta que los distingue es ${shown}; la acepta ${accepts} y la rechaza ${rejects}.`;
+  } catch (err) {
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+// Estados desde los que se alcanza la aceptación (recorriendo las transiciones al revés).
+function coReachableStates(dfa) {
+  const live = new Set(dfa.acceptStates);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    dfa.transitions.forEach((to, key) => {
+      const from = key.split("|")[0];
+      if (live.has(to) && !live.has(from)) {
+        live.add(from);
+        changed = true;
+      }
+    });
+  }
+  return live;
+}
+
+// DFS iterativo sobre los estados útiles: un arco hacia un estado abierto cierra un ciclo.
+function hasUsefulCycle(dfa, live) {
+  if (!live.has(dfa.startState)) return false;
+  const alphabet = [...dfa.alphabet];
+  const color = new Map([[dfa.startState, "open"]]);
+  const stack = [{ state: dfa.startState, index: 0 }];
+  while (stack.length) {
+    const top = stack[stack.length - 1];
+    if (top.index >= alphabet.length) {
+      color.set(top.state, "done");
+      stack.pop();
+      continue;
+    }
+    const next = dfa.transitions.get(`${top.state}|${alphabet[top.index]}`);
+    top.index += 1;
+    if (!live.has(next)) continue;
+    if (color.get(next) === "open") return true;
+    if (!color.has(next)) {
+      color.set(next, "open");
+      stack.push({ state: next, index: 0 });
+    }
+  }
+  return false;
+}
+
+// Cantidad de cadenas aceptadas de cada longitud 0..maxLength; solo guarda la capa anterior por estado.
+function acceptedWordCounts(dfa, maxLength) {
+  const alphabet = [...dfa.alphabet];
+  let layer = new Map([...dfa.states].map((state) => [state, dfa.acceptStates.has(state) ? 1n : 0n]));
+  const counts = [layer.get(dfa.startState)];
+  for (let n = 1; n <= maxLength; n += 1) {
+    const previous = layer;
+    layer = new Map(
+      [...dfa.states].map((state) => [
+        state,
+        alphabet.reduce((sum, symbol) => sum + (previous.get(dfa.transitions.get(`${state}|${symbol}`)) || 0n), 0n),
+      ]),
+    );
+    counts.push(layer.get(dfa.startState));
+  }
+  return counts;
+}
+
+// Primeras cadenas en orden shortlex. Para cada longitud n se recorre con una pila explícita y solo por
+// estados que pueden aceptar en exactamente los símbolos restantes (capas calculadas a medida que n crece).
+// La búsqueda termina al juntar limit cadenas, cuando ningún estado alcanzado con n símbolos puede aceptar
+// después, o al llegar a maxLength.
+function firstAcceptedWords(dfa, limit, maxLength, live) {
+  const alphabet = [...dfa.alphabet].sort();
+  const next = (state, symbol) => dfa.transitions.get(`${state}|${symbol}`);
+  const canAccept = [new Set(dfa.acceptStates)];
+  const words = [];
+  let frontier = new Set([dfa.startState]);
+  let length = 0;
+  for (; length <= maxLength && words.length < limit; length += 1) {
+    if (![...frontier].some((state) => live.has(state))) {
+      return { words, exhausted: true };
+    }
+    if (length > 0) {
+      const previous = canAccept[length - 1];
+      canAccept.push(new Set([...dfa.states].filter((state) => alphabet.some((symbol) => previous.has(next(state, symbol))))));
+    }
+    const stack = [{ state: dfa.startState, word: "" }];
+    while (stack.length && words.length < limit) {
+      const { state, word } = stack.pop();
+      const remaining = length - word.length;
+      if (!canAccept[remaining].has(state)) continue;
+      if (!remaining) {
+        words.push(word);
+        continue;
+      }
+      for (let i = alphabet.length - 1; i >= 0; i -= 1) {
+        stack.push({ state: next(state, alphabet[i]), word: word + alphabet[i] });
+      }
+    }
+    frontier = new Set([...frontier].flatMap((state) => alphabet.map((symbol) => next(state, symbol))));
+  }
+  return { words, exhausted: false, searchedLength: length - 1 };
+}
+
+function shortestRejectedWord(dfa) {
+  const alphabet = [...dfa.alphabet].sort();
+  const words = new Map([[dfa.startState, ""]]);
+  const queue = [dfa.startState];
+  while (queue.length) {
+    const state = queue.shift();
+    if (!dfa.acceptStates.has(state)) return words.get(state);
+    alphabet.forEach((symbol) => {
+      const next = dfa.transitions.get(`${state}|${symbol}`);
+      if (!words.has(next)) {
+        words.set(next, words.get(state) + symbol);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+}
+
+function handleFaAnalyze() {
+  try {
+    const model = buildFaModel();
+    const dfa = minimizeDFA(completeDfaOf(model, faSymbols(model), "D"));
+    const maxLength = clamp(Number.parseInt(ui.faAnalysisLength.value, 10) || 0, 0, 60);
+    const limit = clamp(Number.parseInt(ui.faAnalysisWordCount.value, 10) || 1, 1, 500);
+    const live = coReachableStates(dfa);
+    const infinite = hasUsefulCycle(dfa, live);
+    const counts = acceptedWordCounts(dfa, maxLength);
+
+    if (!live.has(dfa.startState)) {
+      ui.faAnalysisKind.textContent = "Vacío: el autómata no acepta ninguna cadena.";
+    } else if (infinite) {
+      ui.faAnalysisKind.textContent = "Infinito: hay un ciclo en un camino del inicial a la aceptación.";
+    } else {
+      // Sin ciclos útiles, ninguna cadena aceptada es más larga que la cantidad de estados.
+      const lengths = acceptedWordCounts(dfa, dfa.states.size);
+      const total = lengths.reduce((sum, count) => sum + count, 0n);
+      const longest = lengths.reduce((last, count, n) => (count ? n : last), 0);
+      ui.faAnalysisKind.textContent = `Finito: ${total} cadena(s), la más larga de longitud ${longest}.`;
+    }
+
+    const alphabetSize = BigInt(dfa.alphabet.size);
+    const rows = counts.map((count, n) => ({
+      cells: [String(n), String(count), String(alphabetSize ** BigInt(n))],
+    }));
+    renderResultsTable(ui.faAnalysisCounts, ["Longitud", "Aceptadas", "Total |Σ|ⁿ"], rows);
+
+    // Tras la primera cadena de longitud ≥ |Q| los huecos entre longitudes aceptadas no superan |Q|.
+    const searchLength = Math.min((limit + 2) * dfa.states.size, FA_ANALYSIS_MAX_SEARCH_LENGTH);
+    const search = firstAcceptedWords(dfa, limit, searchLength, live);
+    const { words } = search;
+    const cut = words.length < limit && !search.exhausted ? ` (búsqueda detenida en longitud ${search.searchedLength})` : "";
+    ui.faAnalysisWords.textContent = `${words.length ? words.map((word) => word || "ε").join(", ") : "(ninguna)"}${cut}`;
+    const rejected = shortestRejectedWord(dfa);
+    ui.faAnalysisRejected.textContent = rejected === null ? "(ninguna: acepta todas las cadenas)" : rejected || "ε";
+    ui.faAnalysisResult.hidden = false;
+    ui.faMessage.textContent = `Análisis sobre el DFA mínimo completo (${dfa.states.size} estados, alfabeto ${[...dfa.alphabet].join(", ") || "vacío"}).`;
+  } catch (err) {
+    ui.faAnalysisResult.hidden = true;
+    ui.faAnalysisCounts.hidden = true;
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+// Interpreta el AF del editor como DFA (posiblemente parcial); falla si no es determinista.
+function faModelAsDFA(model) {
+  const transitions = new Map();
+  model.transitions.forEach((destSet, key) => {
+    const [from, label] = key.split("|");
+    if (label === "eps") {
+      throw new Error(`El AF no es un DFA: ${from} tiene una transición eps.`);
+    }
+    if (label.length > 1) {
+      throw new Error(`El AF no es un DFA: la etiqueta ${label} de ${from} consume varios símbolos.`);
+    }
+    if (destSet.size > 1) {
+      throw new Error(`El AF no es un DFA: ${from} con ${label} tiene varios destinos.`);
+    }
+    transitions.set(key, [...destSet][0]);
+  });
+  return {
+    states: new Set(model.states),
+    alphabet: new Set(faSymbols(model)),
+    startState: model.startState,
+    acceptStates: new Set(model.acceptStates),
+    transitions,
+  };
+}
+
+function completeDFA(dfa, trapName) {
+  const transitions = new Map(dfa.transitions);
+  let missing = 0;
+  [...dfa.states, trapName].forEach((state) => {
+    dfa.alphabet.forEach((symbol) => {
+      const key = `${state}|${symbol}`;
+      if (!transitions.has(key)) {
+        transitions.set(key, trapName);
+        if (state !== trapName) missing += 1;
+      }
+    });
+  });
+  if (!missing) {
+    return { dfa, missing };
+  }
+  return { dfa: { ...dfa, states: new Set([...dfa.states, trapName]), transitions }, missing };
+}
+
+function handleFaCompleteDfa() {
+  try {
+    const dfa = faModelAsDFA(buildFaModel());
+    const trapName = freshName("trampa", new Set(dfa.states));
+    const { dfa: completed, missing } = completeDFA(dfa, trapName);
+    if (!missing) {
+      ui.faMessage.textContent = "El DFA ya es completo: todos los estados tienen transición con cada símbolo.";
+      return;
+    }
+    if (faStepper.model) {
+      stopFaStepper();
+    }
+    const before = captureWorkspaceForHistory("fa");
+    const form = dfaToFaForm(completed);
+    ui.faStates.value = form.states.join(",");
+    ui.faAlphabet.value = form.alphabet.join(",");
+    ui.faTransitions.value = form.lines.join("\n");
+    // Conserva la posición de los estados existentes y ubica la trampa a la derecha.
+    loadFaGraphFromForm("Completar DFA", before, (names) => new Map(names.map((name) => [
+      name,
+      faGraphEditor.nodes.get(name) || { x: GRAPH_WIDTH - 70, y: GRAPH_HEIGHT / 2 },
+    ])));
+    ui.faResult.textContent = "-";
+    ui.faMessage.textContent = `DFA completado: ${missing} transición(es) faltante(s) ahora van a ${trapName}, que se queda en sí mismo con todo símbolo.`;
+  } catch (err) {
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+// Tabla δ: filas = estados (el inicial primero), columnas = símbolos; → marca el inicial y * la aceptación.
+function dfaTransitionTable(dfa) {
+  const alphabet = [...dfa.alphabet].sort();
+  const states = [dfa.startState, ...[...dfa.states].filter((state) => state !== dfa.startState)];
+  return {
+    headers: ["", "δ", ...alphabet],
+    rows: states.map((state) => [
+      `${state === dfa.startState ? "→" : ""}${dfa.acceptStates.has(state) ? "*" : ""}`,
+      state,
+      ...alphabet.map((symbol) => dfa.transitions.get(`${state}|${symbol}`) ?? "-"),
+    ]),
+  };
+}
+
+function formatTableMarkdown({ headers, rows }) {
+  const escape = (cell) => cell.replace(/\|/g, "\\|");
+  return [headers, headers.map(() => "---"), ...rows]
+    .map((cells) => `| ${cells.map(escape).join(" | ")} |`)
+    .join("\n");
+}
+
+function formatTableCsv({ headers, rows }) {
+  const escape = (cell) => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return [headers, ...rows].map((cells) => cells.map(escape).join(",")).join("\n");
+}
+
+function deltaTableSource() {
+  const source = ui.faDeltaSource.value;
+  if (source === "editor") {
+    return faModelAsDFA(buildFaModel());
+  }
+  if (source === "boolean") {
+    if (!faBooleanResult) throw new Error("Primero calcula una operación entre A y B.");
+    return faBooleanResult.dfa;
+  }
+  if (!faPipeline) throw new Error("Primero minimiza el AF para obtener el DFA.");
+  return source === "minimized" ? faPipeline.minimized : faPipeline.dfa;
+}
+
+function handleFaDeltaTable() {
+  try {
+    const table = dfaTransitionTable(deltaTableSource());
+    faDeltaTable = table;
+    renderResultsTable(ui.faDeltaTable, table.headers, table.rows.map((cells) => ({ cells })));
+    ui.faDeltaExport.value = "";
+    ui.faDeltaCopyMarkdown.disabled = false;
+    ui.faDeltaCopyCsv.disabled = false;
+    ui.faMessage.textContent = `Tabla δ con ${table.rows.length} estado(s) y ${table.headers.length - 2} símbolo(s); - indica transición indefinida.`;
+  } catch (err) {
+    clearFaDeltaTable();
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+// La tabla mostrada se calculó sobre un autómata que ya cambió.
+function clearFaDeltaTable() {
+  faDeltaTable = null;
+  ui.faDeltaTable.hidden = true;
+  ui.faDeltaExport.value = "";
+  ui.faDeltaCopyMarkdown.disabled = true;
+  ui.faDeltaCopyCsv.disabled = true;
+}
+
+function copyFaDeltaTable(format) {
+  if (!faDeltaTable) return;
+  const text = format === "csv" ? formatTableCsv(faDeltaTable) : formatTableMarkdown(faDeltaTable);
+  const label = format === "csv" ? "CSV" : "Markdown";
+  ui.faDeltaExport.value = text;
+  if (!navigator.clipboard) {
+    ui.faMessage.textContent = `Tabla en ${label} lista para copiar desde el cuadro de texto.`;
+    return;
+  }
+  navigator.clipboard.writeText(text).then(
+    () => {
+      ui.faMessage.textContent = `Tabla copiada al portapapeles en ${label}.`;
+    },
+    () => {
+      ui.faMessage.textContent = `No se pudo usar el portapapeles; copia la tabla en ${label} desde el cuadro de texto.`;
+    },
+  );
+}
+
+function handleFaLoadBoolean() {
+  if (!faBooleanResult) return;
+  const { dfa, label, legend } = faBooleanResult;
+  fillFaForm(dfaToFaForm(dfa), `Cargar ${label}`, `Leyenda: ${legend}.`);
+  ui.faMessage.textContent = `DFA de ${label} cargado en el editor como autómata A.`;
+}
+
+function handleFaLoadPipeline(kind) {
+  if (!faPipeline) return;
+  const minimal = kind === "minimized";
+  const dfa = minimal ? faPipeline.minimized : faPipeline.dfa;
+  fillFaForm(
+    dfaToFaForm(dfa),
+    minimal ? "Cargar DFA mínimo" : "Cargar DFA",
+    `Leyenda: ${minimal ? faPipeline.minLegend : faPipeline.dfaLegend}.`,
+  );
+  ui.faMessage.textContent = `${minimal ? "DFA mínimo" : "DFA"} cargado en el editor (${dfa.states.size} estados).`;
+}
+
+function handleFaMinimize() {
+  try {
+    const pipeline = buildFaPipeline(buildFaModel());
+    const { nfaUnit, dfa, minimized } = pipeline;
+    faPipeline = pipeline;
+    ui.faUnitNfaOutput.value = formatDFA(nfaUnit);
+    renderSubsetTable(dfa);
+    renderPartitionRounds(minimized);
+    ui.faMinimizeStages.hidden = false;
+    ui.faMinimizedOutput.value = `${formatDFA(minimized)}\nLeyenda: ${pipeline.minLegend}`;
+    ui.faLoadDfa.disabled = false;
+    ui.faLoadMinimized.disabled = false;
+    const unreachable = minimized.unreachable.length ? ` Inalcanzables descartados: ${minimized.unreachable.join(", ")}.` : "";
+    ui.faMessage.textContent = `AF convertido a DFA (${dfa.states.size} estados) y minimizado (${minimized.states.size} estados) en ${minimized.rounds.length - 1} ronda(s) de refinamiento.${unreachable}`;
+  } catch (err) {
+    clearFaMinimizeStages();
+    ui.faMessage.textContent = err.message;
+  }
+}
+
+function loadFaExample() {
+  ui.faStates.value = "q0,q1,q2,q3,q4";
+  ui.faAlphabet.value = "a,b";
+  ui.faStartState.value = "q0";
+  ui.faAcceptStates.value = "q4";
+  ui.faTransitions.value = [
+    "q0,eps -> q1",
+    "q1,ab -> q2",
+    "q1,a -> q3",
+    "q3,b -> q4",
+    "q2,eps -> q4",
+  ].join("\n");
+  ui.faInputWord.value = "ab";
+  ui.faResult.textContent = "-";
+  ui.faMessage.textContent = "Ejemplo AF cargado (eps y etiquetas multi-símbolo).";
+  invalidateFaResultsForA();
+}
+
+function parsePdaTransitions(raw) {
+  const lines = raw
+    .split("\n")
+    .map((line) => line.trim())
     .filter((line) => line && !line.startsWith("#"));
   return lines.map((line, idx) => {
     const [left, right] = line.split("->").map((x) => x.trim());
@@ -2845,115 +5369,1112 @@ function parsePdaTransitions(raw) {
     if (!state || !inputSym || !stackTop || !nextState || pushRaw === undefined) {
       throw new Error(`Línea ${idx + 1}: faltan campos PDA.`);
     }
-    return { state, inputSym, stackTop, nextState, push: pushRaw };
+    return { state, inputSym, stackTop, nextState, push: pushRaw };
+  });
+}
+
+function buildPdaModel() {
+  const states = new Set(parseCsvList(ui.pdaStates.value));
+  const startState = ui.pdaStartState.value.trim();
+  const acceptStates = new Set(parseCsvList(ui.pdaAcceptStates.value));
+  const initialStack = ui.pdaInitialStack.value.trim();
+  const acceptMode = PDA_ACCEPT_MODES[ui.pdaAcceptMode.value] ? ui.pdaAcceptMode.value : "final";
+  const transitions = parsePdaTransitions(ui.pdaTransitions.value);
+  if (!states.has(startState)) {
+    throw new Error("Estado inicial inválido en PDA.");
+  }
+  return { states, startState, acceptStates, initialStack, acceptMode, transitions };
+}
+
+function pdaAccepts(model, input, cfg) {
+  if (cfg.pos !== input.length) {
+    return false;
+  }
+  const finalState = model.acceptStates.has(cfg.state);
+  const emptyStack = cfg.stack.length === 0;
+  if (model.acceptMode === "empty") return emptyStack;
+  if (model.acceptMode === "both") return finalState && emptyStack;
+  return finalState;
+}
+
+function pdaTransitionLabel(t) {
+  return `${t.inputSym},${t.stackTop} -> ${t.push}`;
+}
+
+function pdaSuccessors(model, input, cfg) {
+  const top = cfg.stack.length ? cfg.stack[cfg.stack.length - 1] : "eps";
+  const successors = [];
+  model.transitions.forEach((t) => {
+    if (t.state !== cfg.state) return;
+    const inputMatch = t.inputSym === "eps" || input[cfg.pos] === t.inputSym;
+    if (!inputMatch) return;
+    const topMatch = t.stackTop === "eps" || top === t.stackTop;
+    if (!topMatch) return;
+
+    const nextPos = t.inputSym === "eps" ? cfg.pos : cfg.pos + 1;
+    const nextStack = [...cfg.stack];
+    if (t.stackTop !== "eps") nextStack.pop();
+    if (t.push !== "eps" && t.push !== "") {
+      for (let i = t.push.length - 1; i >= 0; i -= 1) {
+        nextStack.push(t.push[i]);
+      }
+    }
+    successors.push({ state: t.nextState, pos: nextPos, stack: nextStack, transition: t });
+  });
+  return successors;
+}
+
+function evaluatePDA(model, input) {
+  const maxSteps = 20000;
+  const queue = [{ state: model.startState, pos: 0, stack: [model.initialStack], parent: null, transition: null }];
+  const seen = new Set();
+  const dead = [];
+  let longestPrefix = 0;
+  let steps = 0;
+
+  while (queue.length && steps < maxSteps) {
+    steps += 1;
+    const cfg = queue.shift();
+    const key = `${cfg.state}|${cfg.pos}|${cfg.stack.join("")}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    longestPrefix = Math.max(longestPrefix, cfg.pos);
+
+    if (pdaAccepts(model, input, cfg)) {
+      return {
+        accepted: true,
+        truncated: false,
+        explored: seen.size,
+        path: configurationPath(cfg),
+        dead,
+        longestPrefix,
+        detail: model.acceptMode === "empty"
+          ? `Aceptada por pila vacía en ${cfg.state}.`
+          : `Aceptada en ${cfg.state}.`,
+      };
+    }
+
+    const successors = pdaSuccessors(model, input, cfg);
+    successors.forEach((next) => {
+      queue.push({ ...next, parent: cfg });
+    });
+    if (!successors.length) {
+      dead.push(cfg);
+    }
+  }
+
+  const rejected = { accepted: false, explored: seen.size, path: null, dead, longestPrefix };
+  if (queue.length) {
+    return {
+      ...rejected,
+      truncated: true,
+      detail: `Búsqueda interrumpida tras ${maxSteps} pasos sin encontrar aceptación: resultado indeterminado.`,
+    };
+  }
+  return { ...rejected, truncated: false, detail: "No se encontró configuración de aceptación." };
+}
+
+function handlePdaEvaluate() {
+  if (pdaDebugger.model) {
+    stopPdaDebugger();
+  }
+  try {
+    const model = buildPdaModel();
+    const word = ui.pdaInputWord.value;
+    const result = evaluatePDA(model, word);
+    ui.pdaResult.textContent = result.accepted ? "Aceptada" : result.truncated ? "Indeterminado" : "Rechazada";
+    ui.pdaMessage.textContent = result.accepted
+      ? `${result.detail} · Cómputo de ${result.path.length - 1} transición(es).`
+      : `${result.detail} · ${describePrefix(word, result.longestPrefix)}`;
+
+    const configs = result.accepted ? result.path : result.dead.slice(0, TRACE_DEAD_LIMIT);
+    evaluationTraces.pda = { configs };
+    ui.pdaTraceTitle.textContent = result.accepted
+      ? "Cómputo de aceptación (clic en una fila para resaltarla):"
+      : `Configuraciones donde murió cada rama (${result.dead.length}${result.dead.length > configs.length ? `, se muestran ${configs.length}` : ""}):`;
+    ui.pdaTraceTitle.hidden = false;
+    renderResultsTable(
+      ui.pdaTrace,
+      ["#", "Estado", "Resta", "Pila (tope a la izquierda)", "Transición"],
+      configs.map((cfg, index) => ({
+        cells: [
+          String(index),
+          cfg.state,
+          word.slice(cfg.pos) || "ε",
+          cfg.stack.length ? [...cfg.stack].reverse().join("") : "ε",
+          cfg.transition ? `${cfg.transition.state} → ${cfg.transition.nextState} (${pdaTransitionLabel(cfg.transition)})` : "inicio",
+        ],
+      })),
+    );
+    highlightPdaTrace(null);
+  } catch (err) {
+    evaluationTraces.pda = null;
+    ui.pdaTraceTitle.hidden = true;
+    ui.pdaTrace.hidden = true;
+    ui.pdaResult.textContent = "Error";
+    ui.pdaMessage.textContent = err.message;
+  }
+}
+
+function freshName(base, used) {
+  let name = base;
+  let suffix = 0;
+  while (used.has(name)) {
+    suffix += 1;
+    name = `${base}${suffix}`;
+  }
+  used.add(name);
+  return name;
+}
+
+function pdaStackSymbols(model) {
+  const symbols = new Set([...model.initialStack]);
+  model.transitions.forEach((t) => {
+    if (t.stackTop !== "eps") [...t.stackTop].forEach((x) => symbols.add(x));
+    if (t.push !== "eps") [...t.push].forEach((x) => symbols.add(x));
+  });
+  return symbols;
+}
+
+// Construcción clásica: un nuevo fondo de pila protege el cómputo original y un estado nuevo arranca apilándolo.
+function convertPdaAcceptMode(model, targetMode) {
+  if (model.initialStack.length !== 1) {
+    throw new Error("Para convertir, el símbolo inicial de pila debe ser un único carácter.");
+  }
+  const symbols = pdaStackSymbols(model);
+  const bottom = ["⊥", "$", "@", "%", "&"].find((x) => !symbols.has(x));
+  if (!bottom) {
+    throw new Error("No hay un símbolo libre para el nuevo fondo de pila.");
+  }
+  const used = new Set(model.states);
+  const start = freshName("p0", used);
+  const lines = [
+    `${start},eps,${bottom} -> ${model.startState},${model.initialStack}${bottom}`,
+    ...model.transitions.map((t) => `${t.state},${t.inputSym},${t.stackTop} -> ${t.nextState},${t.push}`),
+  ];
+  const states = [start, ...model.states];
+  let acceptStates = [];
+
+  if (targetMode === "empty") {
+    const drain = freshName("pv", used);
+    states.push(drain);
+    if (model.acceptMode === "final") {
+      model.acceptStates.forEach((state) => {
+        [...symbols, bottom].forEach((x) => lines.push(`${state},eps,${x} -> ${drain},eps`));
+      });
+      [...symbols, bottom].forEach((x) => lines.push(`${drain},eps,${x} -> ${drain},eps`));
+    } else {
+      model.acceptStates.forEach((state) => lines.push(`${state},eps,${bottom} -> ${drain},eps`));
+    }
+  } else {
+    const final = freshName("pf", used);
+    states.push(final);
+    const sources = model.acceptMode === "empty" ? model.states : model.acceptStates;
+    sources.forEach((state) => lines.push(`${state},eps,${bottom} -> ${final},${bottom}`));
+    acceptStates = [final];
+  }
+
+  return { states, startState: start, acceptStates, initialStack: bottom, acceptMode: targetMode, lines };
+}
+
+function handlePdaConvertAcceptMode(targetMode) {
+  try {
+    const model = buildPdaModel();
+    if (model.acceptMode === targetMode) {
+      throw new Error(`El PDA ya acepta por ${PDA_ACCEPT_MODES[targetMode]}.`);
+    }
+    const converted = convertPdaAcceptMode(model, targetMode);
+    const before = captureWorkspaceForHistory("pda");
+    ui.pdaStates.value = converted.states.join(",");
+    ui.pdaStartState.value = converted.startState;
+    ui.pdaAcceptStates.value = converted.acceptStates.join(",");
+    ui.pdaInitialStack.value = converted.initialStack;
+    ui.pdaAcceptMode.value = converted.acceptMode;
+    ui.pdaTransitions.value = converted.lines.join("\n");
+    loadPdaGraphFromForm(`Convertir a ${PDA_ACCEPT_MODES[targetMode]}`, before);
+    ui.pdaMessage.textContent = `PDA equivalente que acepta por ${PDA_ACCEPT_MODES[targetMode]} (fondo de pila ${converted.initialStack}).`;
+  } catch (err) {
+    ui.pdaMessage.textContent = err.message;
+  }
+}
+
+function handlePdaBatchEvaluate() {
+  try {
+    const entries = parseBatchWords(ui.pdaBatchWords.value);
+    if (!entries.length) {
+      throw new Error("Escribe al menos una cadena para el lote.");
+    }
+    const model = buildPdaModel();
+    let accepted = 0;
+    let mismatches = 0;
+    let undetermined = 0;
+
+    const rows = entries.map((entry, index) => {
+      const result = evaluatePDA(model, entry.word);
+      const verdict = result.truncated
+        ? { status: "unknown", text: "Indeterminado" }
+        : batchVerdict(result.accepted, entry.expected);
+      if (result.accepted) accepted += 1;
+      if (result.truncated) undetermined += 1;
+      if (verdict.status === "fail") mismatches += 1;
+      return {
+        status: verdict.status,
+        cells: [
+          String(index + 1),
+          entry.word || "ε",
+          entry.expected === null ? "-" : entry.expected ? "Aceptada" : "Rechazada",
+          result.accepted ? "Aceptada" : result.truncated ? "Indeterminado" : "Rechazada",
+          String(result.explored),
+          verdict.text,
+        ],
+      };
+    });
+
+    renderResultsTable(
+      ui.pdaBatchResults,
+      ["#", "Cadena", "Esperado", "Obtenido", "Configuraciones", "Resultado"],
+      rows,
+    );
+    ui.pdaBatchSummary.textContent =
+      `${accepted} de ${entries.length} cadenas aceptadas · ${mismatches} discrepancia(s) · ${undetermined} indeterminada(s).`;
+    ui.pdaMessage.textContent = undetermined
+      ? `Lote evaluado: ${undetermined} cadena(s) agotaron el límite de búsqueda y quedan indeterminadas.`
+      : mismatches
+        ? `Lote evaluado con ${mismatches} discrepancia(s) respecto a lo esperado.`
+        : "Lote evaluado sin discrepancias.";
+  } catch (err) {
+    ui.pdaMessage.textContent = err.message;
+  }
+}
+
+function createPdaConfigNode(cfg, parent) {
+  const node = {
+    id: pdaDebugger.nodesById.size,
+    state: cfg.state,
+    pos: cfg.pos,
+    stack: cfg.stack,
+    transition: cfg.transition || null,
+    parent,
+    children: null,
+    status: null,
+  };
+  const key = `${node.state}|${node.pos}|${node.stack.join("")}`;
+  if (pdaAccepts(pdaDebugger.model, pdaDebugger.input, node)) {
+    node.status = "accept";
+  } else {
+    for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+      if (`${ancestor.state}|${ancestor.pos}|${ancestor.stack.join("")}` === key) {
+        node.status = "repeat";
+        break;
+      }
+    }
+  }
+  pdaDebugger.nodesById.set(node.id, node);
+  return node;
+}
+
+// El árbol se expande solo a lo largo de la rama que se recorre; los hermanos quedan como alternativas.
+function expandPdaConfig(node) {
+  if (node.children) {
+    return;
+  }
+  if (node.status) {
+    node.children = [];
+    return;
+  }
+  node.children = pdaSuccessors(pdaDebugger.model, pdaDebugger.input, node).map((next) =>
+    createPdaConfigNode(next, node),
+  );
+  if (!node.children.length) {
+    node.status = "dead";
+  }
+}
+
+function startPdaDebugger() {
+  try {
+    const model = buildPdaModel();
+    evaluationTraces.pda = null;
+    markTraceRow(ui.pdaTrace, null);
+    pdaDebugger.model = model;
+    pdaDebugger.input = ui.pdaInputWord.value;
+    pdaDebugger.nodesById = new Map();
+    pdaDebugger.root = createPdaConfigNode({ state: model.startState, pos: 0, stack: [model.initialStack] }, null);
+    selectPdaConfig(pdaDebugger.root.id);
+  } catch (err) {
+    ui.pdaResult.textContent = "Error";
+    ui.pdaMessage.textContent = err.message;
+  }
+}
+
+function selectPdaConfig(id) {
+  const node = pdaDebugger.nodesById.get(id);
+  if (!node) {
+    return;
+  }
+  pdaDebugger.current = node;
+  expandPdaConfig(node);
+  renderPdaDebugger();
+}
+
+function stepPdaDebugger() {
+  const { current } = pdaDebugger;
+  if (!current || !current.children.length) {
+    return;
+  }
+  selectPdaConfig(current.children[0].id);
+}
+
+function stepBackPdaDebugger() {
+  if (pdaDebugger.current?.parent) {
+    selectPdaConfig(pdaDebugger.current.parent.id);
+  }
+}
+
+function stopPdaDebugger() {
+  pdaDebugger.model = null;
+  pdaDebugger.root = null;
+  pdaDebugger.current = null;
+  pdaDebugger.nodesById = new Map();
+  pdaGraphEditor.highlight = null;
+  ui.pdaDebugPanel.hidden = true;
+  ui.pdaStack.hidden = true;
+  ui.pdaDebugBack.disabled = true;
+  ui.pdaDebugStep.disabled = true;
+  ui.pdaDebugStop.disabled = true;
+  renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
+}
+
+function describePdaConfig(node) {
+  const remaining = pdaDebugger.input.slice(node.pos) || "ε";
+  const stack = node.stack.length ? [...node.stack].reverse().join("") : "ε";
+  return `(${node.state}, ${remaining}, ${stack})`;
+}
+
+function renderPdaConfigTree(node) {
+  const item = document.createElement("li");
+  const button = document.createElement("button");
+  button.type = "button";
+  button.dataset.configId = String(node.id);
+  const classes = ["config-node"];
+  if (node === pdaDebugger.current) classes.push("current");
+  if (node.status) classes.push(`config-${node.status}`);
+  button.className = classes.join(" ");
+  const rule = node.transition ? `${pdaTransitionLabel(node.transition)} ⇒ ` : "";
+  const marks = { accept: " ✔", dead: " ✘", repeat: " ↺" };
+  button.textContent = `${rule}${describePdaConfig(node)}${marks[node.status] || ""}`;
+  item.appendChild(button);
+
+  if (node.children && node.children.length) {
+    const list = document.createElement("ul");
+    node.children.forEach((child) => list.appendChild(renderPdaConfigTree(child)));
+    item.appendChild(list);
+  }
+  return item;
+}
+
+function renderPdaStack(stack) {
+  ui.pdaStack.innerHTML = "";
+  const title = document.createElement("div");
+  title.className = "stack-title";
+  title.textContent = "Pila";
+  ui.pdaStack.appendChild(title);
+  if (!stack.length) {
+    const empty = document.createElement("div");
+    empty.className = "stack-empty";
+    empty.textContent = "(vacía)";
+    ui.pdaStack.appendChild(empty);
+  }
+  [...stack].reverse().forEach((symbol, index) => {
+    const cell = document.createElement("div");
+    cell.className = index === 0 ? "stack-cell stack-top" : "stack-cell";
+    cell.textContent = symbol;
+    ui.pdaStack.appendChild(cell);
   });
+  ui.pdaStack.hidden = false;
 }
 
-function buildPdaModel() {
-  const states = new Set(parseCsvList(ui.pdaStates.value));
-  const startState = ui.pdaStartState.value.trim();
-  const acceptStates = new Set(parseCsvList(ui.pdaAcceptStates.value));
-  const initialStack = ui.pdaInitialStack.value.trim();
-  const transitions = parsePdaTransitions(ui.pdaTransitions.value);
-  if (!states.has(startState)) {
-    throw new Error("Estado inicial inválido en PDA.");
+function renderPdaDebugger() {
+  const node = pdaDebugger.current;
+  const root = document.createElement("ul");
+  root.appendChild(renderPdaConfigTree(pdaDebugger.root));
+  ui.pdaConfigTree.innerHTML = "";
+  ui.pdaConfigTree.appendChild(root);
+  ui.pdaDebugPanel.hidden = false;
+  renderPdaStack(node.stack);
+
+  if (node.status === "accept") {
+    ui.pdaResult.textContent = "Aceptada";
+    ui.pdaMessage.textContent = `Esta rama acepta en ${node.state} tras consumir toda la entrada (${PDA_ACCEPT_MODES[pdaDebugger.model.acceptMode]}).`;
+  } else if (node.status === "dead") {
+    const symbol = pdaDebugger.input[node.pos] ?? "ε";
+    const top = node.stack.length ? node.stack[node.stack.length - 1] : "ε";
+    ui.pdaResult.textContent = "Rama muerta";
+    ui.pdaMessage.textContent = `Ninguna transición aplica en ${node.state} leyendo ${symbol} con tope ${top}.`;
+  } else if (node.status === "repeat") {
+    ui.pdaResult.textContent = "Rama repetida";
+    ui.pdaMessage.textContent = "Esta configuración ya apareció antes en la misma rama.";
+  } else {
+    ui.pdaResult.textContent = "En curso";
+    ui.pdaMessage.textContent = `Configuración ${describePdaConfig(node)} con ${node.children.length} alternativa(s). Paso sigue la primera; haz clic en otra para cambiar de rama.`;
+  }
+
+  const edges = new Map();
+  if (node.transition) {
+    edges.set(`${node.transition.state}=>${node.transition.nextState}`, new Set([pdaTransitionLabel(node.transition)]));
   }
-  return { states, startState, acceptStates, initialStack, transitions };
+  pdaGraphEditor.highlight = { states: new Set([node.state]), edges };
+
+  ui.pdaDebugBack.disabled = !node.parent;
+  ui.pdaDebugStep.disabled = !node.children.length;
+  ui.pdaDebugStop.disabled = false;
+  renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
 }
 
-function evaluatePDA(model, input) {
-  const maxSteps = 20000;
-  const queue = [{ state: model.startState, pos: 0, stack: [model.initialStack] }];
-  const seen = new Set();
-  let steps = 0;
+function loadPdaExample() {
+  ui.pdaStates.value = "q0,qf";
+  ui.pdaStartState.value = "q0";
+  ui.pdaAcceptStates.value = "qf";
+  ui.pdaInitialStack.value = "Z";
+  ui.pdaTransitions.value = [
+    "q0,(,Z -> q0,(Z",
+    "q0,(,( -> q0,((",
+    "q0,),(( -> q0,eps",
+    "q0,eps,Z -> qf,Z",
+  ].join("\n");
+  ui.pdaInputWord.value = "(())()";
+  ui.pdaResult.textContent = "-";
+  ui.pdaMessage.textContent = "Ejemplo PDA cargado.";
+}
 
-  while (queue.length && steps < maxSteps) {
-    steps += 1;
-    const cfg = queue.shift();
-    const top = cfg.stack.length ? cfg.stack[cfg.stack.length - 1] : "eps";
-    const key = `${cfg.state}|${cfg.pos}|${cfg.stack.join("")}`;
-    if (seen.has(key)) continue;
-    seen.add(key);
+// Símbolos de la gramática: no terminales "A", "B2", "S'" o entre corchetes "[q0,Z,q1]"; cualquier otro carácter es terminal.
+function tokenizeGrammarBody(body, lineNumber) {
+  const symbols = [];
+  let i = 0;
+  while (i < body.length) {
+    const ch = body[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === "[") {
+      const end = body.indexOf("]", i);
+      if (end === -1) {
+        throw new Error(`Línea ${lineNumber}: falta cerrar "]" en un no terminal.`);
+      }
+      symbols.push({ nonterminal: true, value: body.slice(i, end + 1) });
+      i = end + 1;
+    } else if (/[A-Z]/.test(ch)) {
+      let end = i + 1;
+      while (end < body.length && /[0-9']/.test(body[end])) end += 1;
+      symbols.push({ nonterminal: true, value: body.slice(i, end) });
+      i = end;
+    } else {
+      symbols.push({ nonterminal: false, value: ch });
+      i += 1;
+    }
+  }
+  return symbols;
+}
+
+function parseGrammar(raw) {
+  const productions = new Map();
+  let start = null;
+  raw
+    .split("\n")
+    .map((line) => line.trim())
+    .forEach((line, idx) => {
+      if (!line || line.startsWith("#")) return;
+      const arrow = line.indexOf("->");
+      if (arrow === -1) {
+        throw new Error(`Línea ${idx + 1}: falta "->" en la producción.`);
+      }
+      const head = tokenizeGrammarBody(line.slice(0, arrow), idx + 1);
+      if (head.length !== 1 || !head[0].nonterminal) {
+        throw new Error(`Línea ${idx + 1}: el lado izquierdo debe ser un único no terminal.`);
+      }
+      const name = head[0].value;
+      if (!start) start = name;
+      if (!productions.has(name)) productions.set(name, []);
+      line
+        .slice(arrow + 2)
+        .split("|")
+        .forEach((alternative) => {
+          const body = normalizeEpsilonLabel(alternative) === "eps" ? [] : tokenizeGrammarBody(alternative, idx + 1);
+          productions.get(name).push(body);
+        });
+    });
+
+  if (!start) {
+    throw new Error("La gramática no tiene producciones.");
+  }
+  productions.forEach((bodies) => {
+    bodies.forEach((body) => {
+      body.forEach((symbol) => {
+        if (symbol.nonterminal && !productions.has(symbol.value)) {
+          throw new Error(`El no terminal ${symbol.value} no tiene producciones.`);
+        }
+      });
+    });
+  });
+  return { start, productions };
+}
+
+function formatGrammar(grammar) {
+  const order = [grammar.start, ...[...grammar.productions.keys()].filter((name) => name !== grammar.start)];
+  return order
+    .map((name) => {
+      const bodies = grammar.productions.get(name).map((body) =>
+        body.length ? body.map((symbol) => symbol.value).join("") : "eps",
+      );
+      return `${name} -> ${bodies.join(" | ")}`;
+    })
+    .join("\n");
+}
+
+// PDA de un solo estado que acepta por pila vacía: expande no terminales en el tope y empareja terminales.
+function grammarToPda(grammar) {
+  const terminals = new Set();
+  grammar.productions.forEach((bodies) => {
+    bodies.forEach((body) => body.forEach((symbol) => {
+      if (!symbol.nonterminal) terminals.add(symbol.value);
+    }));
+  });
+
+  // La pila del simulador usa un carácter por símbolo, así que los no terminales largos se renombran.
+  const stackName = new Map();
+  const free = [..."ABCDEFGHIJKLMNOPQRSTUVWXYZΓΔΘΛΞΠΣΦΨΩ"].filter(
+    (ch) => !terminals.has(ch) && !grammar.productions.has(ch),
+  );
+  grammar.productions.forEach((_, name) => {
+    if (name.length === 1) stackName.set(name, name);
+  });
+  grammar.productions.forEach((_, name) => {
+    if (stackName.has(name)) return;
+    if (!free.length) {
+      throw new Error("Demasiados no terminales para representarlos en la pila.");
+    }
+    stackName.set(name, free.shift());
+  });
+
+  const lines = [];
+  grammar.productions.forEach((bodies, name) => {
+    bodies.forEach((body) => {
+      const push = body.map((symbol) => (symbol.nonterminal ? stackName.get(symbol.value) : symbol.value)).join("");
+      lines.push(`q,eps,${stackName.get(name)} -> q,${push || "eps"}`);
+    });
+  });
+  [...terminals].sort().forEach((terminal) => lines.push(`q,${terminal},${terminal} -> q,eps`));
+
+  const renamed = [...stackName.entries()].filter(([name, symbol]) => name !== symbol);
+  return { lines, initialStack: stackName.get(grammar.start), renamed };
+}
+
+// Construcción de triples [p,X,q]: el no terminal genera lo que el PDA consume al ir de p a q desapilando X.
+function pdaToGrammar(model) {
+  const emptyModel = model.acceptMode === "empty" ? model : buildPdaModelFrom(convertPdaAcceptMode(model, "empty"));
+  const symbols = pdaStackSymbols(emptyModel);
+  const states = [...emptyModel.states];
+  const transitions = [];
+  emptyModel.transitions.forEach((t) => {
+    if (t.stackTop === "eps") {
+      symbols.forEach((x) => transitions.push({ ...t, stackTop: x, push: t.push === "eps" ? x : `${t.push}${x}` }));
+    } else if (t.stackTop.length === 1) {
+      transitions.push(t);
+    }
+  });
+
+  const triple = (p, x, q) => `[${p},${x},${q}]`;
+  const productions = new Map();
+  const add = (head, body) => {
+    if (!productions.has(head)) productions.set(head, []);
+    productions.get(head).push(body);
+  };
+  let total = 0;
+  transitions.forEach((t) => {
+    const push = t.push === "eps" || t.push === "" ? [] : [...t.push];
+    const terminal = t.inputSym === "eps" ? [] : [{ nonterminal: false, value: t.inputSym }];
+    const sequences = push.reduce(
+      (acc) => acc.flatMap((seq) => states.map((r) => [...seq, r])),
+      [[]],
+    );
+    total += sequences.length;
+    if (total > 20000) {
+      throw new Error("La gramática resultante es demasiado grande (más de 20000 producciones).");
+    }
+    if (!push.length) {
+      add(triple(t.state, t.stackTop, t.nextState), terminal);
+      return;
+    }
+    sequences.forEach((seq) => {
+      const body = [...terminal];
+      let from = t.nextState;
+      push.forEach((symbol, i) => {
+        body.push({ nonterminal: true, value: triple(from, symbol, seq[i]) });
+        from = seq[i];
+      });
+      add(triple(t.state, t.stackTop, seq[seq.length - 1]), body);
+    });
+  });
+  states.forEach((r) => {
+    add("S", [{ nonterminal: true, value: triple(emptyModel.startState, emptyModel.initialStack, r) }]);
+  });
+
+  return pruneGrammar({ start: "S", productions });
+}
+
+function buildPdaModelFrom(converted) {
+  return {
+    states: new Set(converted.states),
+    startState: converted.startState,
+    acceptStates: new Set(converted.acceptStates),
+    initialStack: converted.initialStack,
+    acceptMode: converted.acceptMode,
+    transitions: parsePdaTransitions(converted.lines.join("\n")),
+  };
+}
+
+// Elimina no terminales que no generan cadenas o que no son alcanzables desde el inicial.
+function pruneGrammar(grammar) {
+  const generating = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    grammar.productions.forEach((bodies, head) => {
+      if (generating.has(head)) return;
+      if (bodies.some((body) => body.every((symbol) => !symbol.nonterminal || generating.has(symbol.value)))) {
+        generating.add(head);
+        changed = true;
+      }
+    });
+  }
+
+  const reachable = new Set();
+  const pending = generating.has(grammar.start) ? [grammar.start] : [];
+  while (pending.length) {
+    const head = pending.pop();
+    if (reachable.has(head)) continue;
+    reachable.add(head);
+    grammar.productions.get(head).forEach((body) => {
+      if (body.every((symbol) => !symbol.nonterminal || generating.has(symbol.value))) {
+        body.forEach((symbol) => {
+          if (symbol.nonterminal) pending.push(symbol.value);
+        });
+      }
+    });
+  }
 
-    if (cfg.pos === input.length && model.acceptStates.has(cfg.state)) {
-      return { accepted: true, detail: `Aceptada en ${cfg.state}.` };
+  const productions = new Map();
+  reachable.forEach((head) => {
+    const bodies = grammar.productions
+      .get(head)
+      .filter((body) => body.every((symbol) => !symbol.nonterminal || reachable.has(symbol.value)));
+    const unique = new Map(bodies.map((body) => [body.map((symbol) => symbol.value).join("\u0001"), body]));
+    productions.set(head, [...unique.values()]);
+  });
+  if (!productions.size) {
+    productions.set(grammar.start, []);
+  }
+  return { start: grammar.start, productions };
+}
+
+// FNC en el orden clásico: nuevo inicial, terminales aislados, binarización, quitar ε y quitar unitarias.
+function grammarToCnf(grammar) {
+  const productions = new Map([...grammar.productions].map(([head, bodies]) => [head, bodies.map((body) => [...body])]));
+  const used = new Set(productions.keys());
+  const helpers = new Set();
+  const nonterminal = (value) => ({ nonterminal: true, value });
+  const fresh = (make) => {
+    let index = 0;
+    let name = make(index);
+    while (used.has(name)) {
+      index += 1;
+      name = make(index);
     }
+    used.add(name);
+    return name;
+  };
 
-    model.transitions.forEach((t) => {
-      if (t.state !== cfg.state) return;
-      const inputMatch = t.inputSym === "eps" || input[cfg.pos] === t.inputSym;
-      if (!inputMatch) return;
-      const topMatch = t.stackTop === "eps" || top === t.stackTop;
-      if (!topMatch) return;
+  let start = grammar.start;
+  const startOnRight = [...productions.values()].some((bodies) =>
+    bodies.some((body) => body.some((symbol) => symbol.nonterminal && symbol.value === start)),
+  );
+  if (startOnRight) {
+    const newStart = fresh((i) => `S${i}`);
+    productions.set(newStart, [[nonterminal(start)]]);
+    start = newStart;
+  }
 
-      const nextPos = t.inputSym === "eps" ? cfg.pos : cfg.pos + 1;
-      const nextStack = [...cfg.stack];
-      if (t.stackTop !== "eps") nextStack.pop();
-      if (t.push !== "eps" && t.push !== "") {
-        for (let i = t.push.length - 1; i >= 0; i -= 1) {
-          nextStack.push(t.push[i]);
+  const terminalHeads = new Map();
+  productions.forEach((bodies) => {
+    bodies.forEach((body, index) => {
+      if (body.length < 2) return;
+      bodies[index] = body.map((symbol) => {
+        if (symbol.nonterminal) return symbol;
+        if (!terminalHeads.has(symbol.value)) {
+          const head = fresh((i) => `[T_${symbol.value}${i || ""}]`);
+          terminalHeads.set(symbol.value, head);
+          helpers.add(head);
         }
+        return nonterminal(terminalHeads.get(symbol.value));
+      });
+    });
+  });
+  terminalHeads.forEach((head, terminal) => productions.set(head, [[{ nonterminal: false, value: terminal }]]));
+
+  [...productions.entries()].forEach(([head, bodies]) => {
+    bodies.forEach((body, index) => {
+      if (body.length <= 2) return;
+      let targetBodies = bodies;
+      let target = index;
+      for (let i = 0; i < body.length - 2; i += 1) {
+        const rest = fresh((n) => `[X${n + 1}]`);
+        helpers.add(rest);
+        targetBodies[target] = [body[i], nonterminal(rest)];
+        targetBodies = [];
+        productions.set(rest, targetBodies);
+        target = 0;
+      }
+      targetBodies[target] = body.slice(-2);
+    });
+  });
+
+  const nullable = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    productions.forEach((bodies, head) => {
+      if (!nullable.has(head) && bodies.some((body) => body.every((symbol) => symbol.nonterminal && nullable.has(symbol.value)))) {
+        nullable.add(head);
+        changed = true;
       }
-      queue.push({ state: t.nextState, pos: nextPos, stack: nextStack });
     });
   }
+  productions.forEach((bodies, head) => {
+    const expanded = [];
+    bodies.forEach((body) => {
+      const variants = body.reduce(
+        (acc, symbol) => acc.flatMap((prefix) =>
+          symbol.nonterminal && nullable.has(symbol.value) ? [[...prefix, symbol], prefix] : [[...prefix, symbol]],
+        ),
+        [[]],
+      );
+      variants.forEach((variant) => {
+        if (variant.length || head === start) expanded.push(variant);
+      });
+    });
+    productions.set(head, expanded);
+  });
+
+  const unitFree = new Map();
+  productions.forEach((_, head) => {
+    const closure = new Set([head]);
+    const pending = [head];
+    const bodies = [];
+    const seen = new Set();
+    while (pending.length) {
+      const current = pending.pop();
+      productions.get(current).forEach((body) => {
+        if (body.length === 1 && body[0].nonterminal) {
+          if (!closure.has(body[0].value)) {
+            closure.add(body[0].value);
+            pending.push(body[0].value);
+          }
+        } else if ((body.length || current === head) && !seen.has(JSON.stringify(body))) {
+          seen.add(JSON.stringify(body));
+          bodies.push(body);
+        }
+      });
+    }
+    unitFree.set(head, bodies);
+  });
 
-  return { accepted: false, detail: "No se encontró configuración de aceptación." };
+  return { ...pruneGrammar({ start, productions: unitFree }), helpers, originalStart: grammar.start };
 }
 
-function handlePdaEvaluate() {
+// pruneGrammar deja el inicial sin producciones cuando la gramática no genera ninguna cadena.
+function generatesNothing(grammar) {
+  return !grammar.productions.get(grammar.start).length;
+}
+
+function handleGrammarToCnf() {
   try {
-    const model = buildPdaModel();
-    const result = evaluatePDA(model, ui.pdaInputWord.value);
-    ui.pdaResult.textContent = result.accepted ? "Aceptada" : "Rechazada";
-    ui.pdaMessage.textContent = result.detail;
+    const cnf = grammarToCnf(parseGrammar(ui.cfgGrammar.value));
+    if (generatesNothing(cnf)) {
+      ui.cfgCnfOutput.value = "";
+      ui.cfgMessage.textContent = "La gramática no genera ninguna cadena (lenguaje vacío): no hay producciones en FNC.";
+      return;
+    }
+    ui.cfgCnfOutput.value = formatGrammar(cnf);
+    ui.cfgMessage.textContent = `Forma normal de Chomsky: ${cnf.productions.size} no terminales.`;
   } catch (err) {
-    ui.pdaResult.textContent = "Error";
-    ui.pdaMessage.textContent = err.message;
+    ui.cfgCnfOutput.value = "";
+    ui.cfgMessage.textContent = err.message;
+  }
+}
+
+// Tabla CYK: table[len][i] asocia cada no terminal que genera word.slice(i, i + len) con sus formas de derivarlo.
+function cykParse(cnf, word) {
+  const n = word.length;
+  const table = Array.from({ length: n + 1 }, (_, len) => Array.from({ length: n - len + 1 }, () => new Map()));
+  const add = (len, i, head, back) => {
+    const cell = table[len][i];
+    if (!cell.has(head)) cell.set(head, []);
+    cell.get(head).push(back);
+  };
+
+  for (let i = 0; i < n; i += 1) {
+    cnf.productions.forEach((bodies, head) => {
+      if (bodies.some((body) => body.length === 1 && body[0].value === word[i])) {
+        add(1, i, head, { terminal: true });
+      }
+    });
+  }
+  for (let len = 2; len <= n; len += 1) {
+    for (let i = 0; i + len <= n; i += 1) {
+      for (let split = 1; split < len; split += 1) {
+        const left = table[split][i];
+        const right = table[len - split][i + split];
+        cnf.productions.forEach((bodies, head) => {
+          bodies.forEach((body) => {
+            if (body.length === 2 && left.has(body[0].value) && right.has(body[1].value)) {
+              add(len, i, head, { split, left: body[0].value, right: body[1].value });
+            }
+          });
+        });
+      }
+    }
+  }
+  return table;
+}
+
+function* cykTrees(table, word, len, i, head) {
+  for (const back of table[len][i].get(head) || []) {
+    if (back.terminal) {
+      yield { symbol: head, children: [{ symbol: word[i], children: [] }] };
+      continue;
+    }
+    for (const left of cykTrees(table, word, back.split, i, back.left)) {
+      for (const right of cykTrees(table, word, len - back.split, i + back.split, back.right)) {
+        yield { symbol: head, children: [left, right] };
+      }
+    }
+  }
+}
+
+// Deshace los no terminales auxiliares de la FNC; el árbol sigue siendo el de la FNC (sin reglas unitarias ni ε).
+function restoreParseTree(node, cnf) {
+  const children = [];
+  node.children.forEach((child) => {
+    const restored = restoreParseTree(child, cnf);
+    if (cnf.helpers.has(child.symbol)) {
+      children.push(...restored.children);
+    } else {
+      children.push(restored);
+    }
+  });
+  const symbol = node.symbol === cnf.start ? cnf.originalStart : node.symbol;
+  return { symbol, children };
+}
+
+function renderParseTreeSvg(tree, caption) {
+  const levelHeight = 58;
+  let leaves = 0;
+  let depth = 0;
+  const layout = (node, level) => {
+    depth = Math.max(depth, level);
+    if (!node.children.length) {
+      node.x = leaves * 48 + 30;
+      leaves += 1;
+    } else {
+      node.children.forEach((child) => layout(child, level + 1));
+      node.x = (node.children[0].x + node.children[node.children.length - 1].x) / 2;
+    }
+    node.y = level * levelHeight + 24;
+  };
+  layout(tree, 0);
+
+  const width = Math.max(leaves * 48 + 12, 200);
+  const height = depth * levelHeight + 48;
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    role: "img",
+    "aria-label": caption,
+  });
+  const draw = (node) => {
+    node.children.forEach((child) => {
+      svg.appendChild(createSvgElement("line", { x1: node.x, y1: node.y + 10, x2: child.x, y2: child.y - 12, class: "tree-edge" }));
+      draw(child);
+    });
+    const text = createSvgElement("text", {
+      x: node.x,
+      y: node.y,
+      class: node.children.length ? "tree-node" : "tree-leaf",
+    });
+    text.textContent = node.symbol;
+    svg.appendChild(text);
+  };
+  draw(tree);
+
+  const figure = document.createElement("figure");
+  figure.className = "parse-tree";
+  const figcaption = document.createElement("figcaption");
+  figcaption.textContent = caption;
+  figure.appendChild(figcaption);
+  figure.appendChild(svg);
+  return figure;
+}
+
+function renderCykTable(table, word, start) {
+  const n = word.length;
+  ui.cfgCykTable.innerHTML = "";
+  const body = document.createElement("tbody");
+  for (let len = n; len >= 1; len -= 1) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = String(len);
+    tr.appendChild(th);
+    for (let i = 0; i < n; i += 1) {
+      const td = document.createElement("td");
+      if (i + len <= n) {
+        const heads = [...table[len][i].keys()];
+        td.textContent = heads.length ? heads.join(", ") : "∅";
+        if (len === n && heads.includes(start)) td.className = "cyk-start";
+      } else {
+        td.className = "cyk-blank";
+      }
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+  const wordRow = document.createElement("tr");
+  wordRow.appendChild(document.createElement("th"));
+  [...word].forEach((symbol) => {
+    const th = document.createElement("th");
+    th.textContent = symbol;
+    wordRow.appendChild(th);
+  });
+  body.appendChild(wordRow);
+  ui.cfgCykTable.appendChild(body);
+  ui.cfgCykTable.hidden = false;
+}
+
+function handleCykMembership() {
+  ui.cfgParseTrees.innerHTML = "";
+  ui.cfgCykTable.hidden = true;
+  try {
+    const cnf = grammarToCnf(parseGrammar(ui.cfgGrammar.value));
+    if (generatesNothing(cnf)) {
+      ui.cfgCnfOutput.value = "";
+      ui.cfgResult.textContent = "No pertenece";
+      ui.cfgMessage.textContent = "La gramática no genera ninguna cadena (lenguaje vacío).";
+      return;
+    }
+    ui.cfgCnfOutput.value = formatGrammar(cnf);
+    const word = normalizeEpsilonLabel(ui.cfgWord.value) === "eps" ? "" : ui.cfgWord.value.trim();
+
+    if (!word) {
+      const accepted = cnf.productions.get(cnf.start).some((body) => !body.length);
+      ui.cfgResult.textContent = accepted ? "Pertenece" : "No pertenece";
+      ui.cfgMessage.textContent = accepted
+        ? `La cadena vacía se deriva: ${cnf.originalStart} ⇒* ε.`
+        : "La gramática no genera la cadena vacía.";
+      return;
+    }
+
+    const table = cykParse(cnf, word);
+    renderCykTable(table, word, cnf.start);
+    if (!table[word.length][0].has(cnf.start)) {
+      ui.cfgResult.textContent = "No pertenece";
+      ui.cfgMessage.textContent = `El inicial no aparece en la celda superior de la tabla CYK.`;
+      return;
+    }
+
+    const trees = [];
+    const signatures = new Set();
+    let examined = 0;
+    for (const tree of cykTrees(table, word, word.length, 0, cnf.start)) {
+      const restored = restoreParseTree(tree, cnf);
+      const signature = JSON.stringify(restored);
+      if (!signatures.has(signature)) {
+        signatures.add(signature);
+        trees.push(restored);
+      }
+      examined += 1;
+      if (trees.length === 2 || examined >= 50) break;
+    }
+
+    ui.cfgResult.textContent = "Pertenece";
+    ui.cfgMessage.textContent = trees.length > 1
+      ? "Se encontraron dos árboles de derivación distintos: la gramática en FNC es ambigua (no prueba nada sobre la original)."
+      : "La cadena pertenece al lenguaje de la gramática.";
+    trees.forEach((tree, index) => {
+      ui.cfgParseTrees.appendChild(renderParseTreeSvg(tree, `Árbol de derivación ${index + 1} (FNC)`));
+    });
+  } catch (err) {
+    ui.cfgResult.textContent = "Error";
+    ui.cfgMessage.textContent = err.message;
+  }
+}
+
+function handleGrammarToPda() {
+  try {
+    const grammar = parseGrammar(ui.cfgGrammar.value);
+    const result = grammarToPda(grammar);
+    const before = captureWorkspaceForHistory("pda");
+    ui.pdaStates.value = "q";
+    ui.pdaStartState.value = "q";
+    ui.pdaAcceptStates.value = "";
+    ui.pdaInitialStack.value = result.initialStack;
+    ui.pdaAcceptMode.value = "empty";
+    ui.pdaTransitions.value = result.lines.join("\n");
+    loadPdaGraphFromForm("Generar PDA desde gramática", before);
+    const renamed = result.renamed.map(([name, symbol]) => `${name} = ${symbol}`).join(", ");
+    ui.cfgMessage.textContent = `PDA de un estado generado en la pestaña PDA (acepta por pila vacía).${renamed ? ` En la pila: ${renamed}.` : ""}`;
+  } catch (err) {
+    ui.cfgMessage.textContent = err.message;
   }
 }
 
-function loadPdaExample() {
-  ui.pdaStates.value = "q0,qf";
-  ui.pdaStartState.value = "q0";
-  ui.pdaAcceptStates.value = "qf";
-  ui.pdaInitialStack.value = "Z";
-  ui.pdaTransitions.value = [
-    "q0,(,Z -> q0,(Z",
-    "q0,(,( -> q0,((",
-    "q0,),(( -> q0,eps",
-    "q0,eps,Z -> qf,Z",
-  ].join("\n");
-  ui.pdaInputWord.value = "(())()";
-  ui.pdaResult.textContent = "-";
-  ui.pdaMessage.textContent = "Ejemplo PDA cargado.";
+function handlePdaToGrammar() {
+  try {
+    const grammar = pdaToGrammar(buildPdaModel());
+    ui.cfgGrammar.value = formatGrammar(grammar);
+    const count = [...grammar.productions.values()].reduce((sum, bodies) => sum + bodies.length, 0);
+    ui.cfgMessage.textContent = count
+      ? `Gramática generada desde el PDA: ${grammar.productions.size} no terminales, ${count} producciones útiles.`
+      : "El PDA no acepta ninguna cadena: la gramática resultante es vacía.";
+  } catch (err) {
+    ui.cfgMessage.textContent = err.message;
+  }
 }
 
 function editorAddState(editorData, prefix, kind) {
   const name = nextStateName(editorData, prefix);
-  const hasStart = [...editorData.nodes.values()].some((n) => n.isStart);
-  editorData.nodes.set(name, { x: GRAPH_WIDTH / 2, y: GRAPH_HEIGHT / 2, isStart: !hasStart, isAccept: false });
+  recordHistory(kind, `Crear estado ${name}`, () => {
+    const hasStart = [...editorData.nodes.values()].some((n) => n.isStart);
+    editorData.nodes.set(name, { x: GRAPH_WIDTH / 2, y: GRAPH_HEIGHT / 2, isStart: !hasStart, isAccept: false });
+    enforceMinNodeDistance(editorData.nodes, name);
+    if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
+  });
   editorData.selectedState = name;
   editorData.selectedEdgeKey = null;
-  enforceMinNodeDistance(editorData.nodes, name);
   if (kind === "fa") {
-    syncFaFormFromGraph();
     renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
   } else {
-    syncPdaFormFromGraph();
     renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
   }
 }
 
 function editorSetStart(editorData, kind) {
   if (!editorData.selectedState || !editorData.nodes.has(editorData.selectedState)) return;
-  editorData.nodes.forEach((node) => { node.isStart = false; });
-  editorData.nodes.get(editorData.selectedState).isStart = true;
+  recordHistory(kind, `Marcar inicio ${editorData.selectedState}`, () => {
+    editorData.nodes.forEach((node) => { node.isStart = false; });
+    editorData.nodes.get(editorData.selectedState).isStart = true;
+    if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
+  });
   if (kind === "fa") {
-    syncFaFormFromGraph();
     renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
   } else {
-    syncPdaFormFromGraph();
     renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
   }
 }
@@ -2961,12 +6482,13 @@ function editorSetStart(editorData, kind) {
 function editorToggleAccept(editorData, kind) {
   if (!editorData.selectedState || !editorData.nodes.has(editorData.selectedState)) return;
   const node = editorData.nodes.get(editorData.selectedState);
-  node.isAccept = !node.isAccept;
+  recordHistory(kind, `Alternar aceptación ${editorData.selectedState}`, () => {
+    node.isAccept = !node.isAccept;
+    if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
+  });
   if (kind === "fa") {
-    syncFaFormFromGraph();
     renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
   } else {
-    syncPdaFormFromGraph();
     renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
   }
 }
@@ -2974,19 +6496,608 @@ function editorToggleAccept(editorData, kind) {
 function editorDeleteState(editorData, kind) {
   if (!editorData.selectedState || !editorData.nodes.has(editorData.selectedState)) return;
   const s = editorData.selectedState;
-  editorData.nodes.delete(s);
-  editorData.transitions = editorData.transitions.filter((t) => t.fromState !== s && t.toState !== s);
+  const dropped = editorData.transitions.filter((t) => t.fromState === s || t.toState === s).length;
+  recordHistory(kind, `Eliminar estado ${s}`, () => {
+    editorData.nodes.delete(s);
+    editorData.transitions = editorData.transitions.filter((t) => t.fromState !== s && t.toState !== s);
+    if (kind === "fa") syncFaFormFromGraph(); else syncPdaFormFromGraph();
+  });
   editorData.selectedState = null;
   editorData.selectedEdgeKey = null;
+  historyMessage(
+    kind,
+    dropped
+      ? `Estado ${s} eliminado junto con ${dropped} transición(es). Ctrl+Z para deshacer.`
+      : `Estado ${s} eliminado.`,
+  );
+  if (kind === "fa") {
+    renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
+  } else {
+    renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
+  }
+}
+
+function captureWorkspaceForHistory(kind) {
+  if (kind === "tm") {
+    const firstInput = ui.initialTapesEditor.querySelector('input[data-tape-input="0"]');
+    return {
+      nodes: serializeNodes(editor.nodes),
+      transitions: serializeTmTransitions(editor.transitions),
+      tapeCount: Number(ui.initialTapesEditor.dataset.tapeCount) || getConfiguredTapeCount(),
+      firstTape: firstInput ? firstInput.value : "",
+    };
+  }
+  const editorData = kind === "fa" ? faGraphEditor : pdaGraphEditor;
+  const fields = kind === "fa" ? faFormFields() : pdaFormFields();
+  const form = {};
+  Object.entries(fields).forEach(([key, el]) => {
+    if (!["inputWord", "batchWords", "regex"].includes(key)) form[key] = el.value;
+  });
+  return {
+    nodes: serializeNodes(editorData.nodes),
+    transitions: editorData.transitions.map((t) => ({ fromState: t.fromState, toState: t.toState, label: t.label })),
+    form,
+  };
+}
+
+function restoreWorkspaceFromHistory(kind, snapshot) {
+  if (kind === "tm") {
+    restoreNodes(editor.nodes, snapshot.nodes, "MT");
+    editor.transitions = restoreTmTransitions(snapshot.transitions, editor.nodes);
+    if (snapshot.tapeCount !== Number(ui.initialTapesEditor.dataset.tapeCount)) {
+      ui.tapeCount.value = String(snapshot.tapeCount);
+      renderInitialTapesEditor(snapshot.tapeCount);
+      ui.initialTapesEditor.querySelector('input[data-tape-input="0"]').value = snapshot.firstTape;
+    }
+    if (editor.selectedState && !editor.nodes.has(editor.selectedState)) {
+      editor.selectedState = null;
+    }
+    closeInlineTransitionEditor();
+    if (editor.selectedTransitionKey && !hasEdgeKey(editor.selectedTransitionKey)) {
+      clearTransitionSelection();
+      setTransitionEditorLine("");
+    }
+    refreshSelectedState();
+    refreshSelectedTransition();
+    refreshTransitionEditors();
+    renderStateGraph();
+    return;
+  }
+
+  const editorData = kind === "fa" ? faGraphEditor : pdaGraphEditor;
+  const fields = kind === "fa" ? faFormFields() : pdaFormFields();
+  restoreNodes(editorData.nodes, snapshot.nodes, kind === "fa" ? "AF" : "PDA");
+  editorData.transitions = snapshot.transitions.map((t) => ({ ...t }));
+  Object.entries(snapshot.form).forEach(([key, value]) => {
+    fields[key].value = value;
+  });
+  if (editorData.selectedState && !editorData.nodes.has(editorData.selectedState)) {
+    editorData.selectedState = null;
+  }
+  editorData.selectedEdgeKey = null;
   if (kind === "fa") {
-    syncFaFormFromGraph();
+    invalidateFaResultsForA();
     renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
   } else {
-    syncPdaFormFromGraph();
     renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
   }
 }
 
+function commitHistory(kind, label, before) {
+  if (!before) return false;
+  const after = captureWorkspaceForHistory(kind);
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return false;
+  }
+  const stacks = editHistory[kind];
+  stacks.undo.push({ label, before, after });
+  if (stacks.undo.length > HISTORY_LIMIT) {
+    stacks.undo.shift();
+  }
+  stacks.redo = [];
+  refreshHistoryButtons();
+  return true;
+}
+
+function recordHistory(kind, label, mutate) {
+  const before = captureWorkspaceForHistory(kind);
+  const result = mutate();
+  commitHistory(kind, label, before);
+  return result;
+}
+
+function historyMessage(kind, text) {
+  if (kind === "tm") {
+    message(text, "ok");
+  } else if (kind === "fa") {
+    ui.faMessage.textContent = text;
+  } else {
+    ui.pdaMessage.textContent = text;
+  }
+}
+
+function undoHistory(kind) {
+  const stacks = editHistory[kind];
+  const entry = stacks.undo.pop();
+  if (!entry) {
+    historyMessage(kind, "No hay nada para deshacer.");
+    return;
+  }
+  restoreWorkspaceFromHistory(kind, entry.before);
+  stacks.redo.push(entry);
+  refreshHistoryButtons();
+  historyMessage(kind, `Deshecho: ${entry.label}.`);
+}
+
+function redoHistory(kind) {
+  const stacks = editHistory[kind];
+  const entry = stacks.redo.pop();
+  if (!entry) {
+    historyMessage(kind, "No hay nada para rehacer.");
+    return;
+  }
+  restoreWorkspaceFromHistory(kind, entry.after);
+  stacks.undo.push(entry);
+  refreshHistoryButtons();
+  historyMessage(kind, `Rehecho: ${entry.label}.`);
+}
+
+function clearHistory() {
+  Object.values(editHistory).forEach((stacks) => {
+    stacks.undo = [];
+    stacks.redo = [];
+  });
+  refreshHistoryButtons();
+}
+
+function refreshHistoryButtons() {
+  const buttons = {
+    tm: [ui.undo, ui.redo],
+    fa: [ui.faUndo, ui.faRedo],
+    pda: [ui.pdaUndo, ui.pdaRedo],
+  };
+  Object.entries(buttons).forEach(([kind, [undoButton, redoButton]]) => {
+    const stacks = editHistory[kind];
+    const nextUndo = stacks.undo[stacks.undo.length - 1];
+    const nextRedo = stacks.redo[stacks.redo.length - 1];
+    undoButton.disabled = !nextUndo;
+    redoButton.disabled = !nextRedo;
+    undoButton.title = nextUndo ? `Deshacer: ${nextUndo.label} (Ctrl+Z)` : "Deshacer (Ctrl+Z)";
+    redoButton.title = nextRedo ? `Rehacer: ${nextRedo.label} (Ctrl+Shift+Z)` : "Rehacer (Ctrl+Shift+Z)";
+  });
+}
+
+function serializeNodes(nodesMap) {
+  return [...nodesMap.entries()].map(([name, node]) => ({
+    name,
+    x: node.x,
+    y: node.y,
+    isStart: Boolean(node.isStart),
+    isAccept: Boolean(node.isAccept),
+    isReject: Boolean(node.isReject),
+  }));
+}
+
+function restoreNodes(nodesMap, rawNodes, label) {
+  if (!Array.isArray(rawNodes)) {
+    throw new Error(`Proyecto inválido: faltan los estados de ${label}.`);
+  }
+  nodesMap.clear();
+  rawNodes.forEach((raw) => {
+    const name = String(raw?.name ?? "").trim();
+    if (!name) {
+      throw new Error(`Proyecto inválido: estado sin nombre en ${label}.`);
+    }
+    const node = {
+      x: Number(raw.x) || GRAPH_WIDTH / 2,
+      y: Number(raw.y) || GRAPH_HEIGHT / 2,
+      isStart: Boolean(raw.isStart),
+      isAccept: Boolean(raw.isAccept),
+      isReject: Boolean(raw.isReject),
+    };
+    clampNodePosition(node);
+    nodesMap.set(name, node);
+  });
+}
+
+function serializeTmTransitions(transitions) {
+  return transitions.map((t) => ({
+    fromState: t.fromState,
+    readSymbols: [...t.readSymbols],
+    actions: t.actions.map((a) => ({ writeSymbol: a.writeSymbol, move: a.move })),
+    nextState: t.nextState,
+  }));
+}
+
+function restoreTmTransitions(rawTransitions, nodes) {
+  return rawTransitions.map((raw) => {
+    if (!raw || !nodes.has(raw.fromState) || !nodes.has(raw.nextState) || !Array.isArray(raw.readSymbols)) {
+      throw new Error("Proyecto inválido: transición MT con estados inexistentes.");
+    }
+    const readSymbols = raw.readSymbols.map((x) => String(x));
+    const actions = (raw.actions || []).map((a) => ({
+      writeSymbol: a.writeSymbol === null || a.writeSymbol === undefined ? null : String(a.writeSymbol),
+      move: normalizeMove(String(a.move || "S")),
+    }));
+    return {
+      fromState: raw.fromState,
+      nextState: raw.nextState,
+      readSymbols,
+      actions,
+      key: transitionKey(raw.fromState, readSymbols),
+    };
+  });
+}
+
+function serializeTmWorkspace() {
+  let firstTape = null;
+  try {
+    firstTape = readInitialTapesFromEditor()[0].symbols;
+  } catch {
+    firstTape = null;
+  }
+  return {
+    nodes: serializeNodes(editor.nodes),
+    transitions: serializeTmTransitions(editor.transitions),
+    tapeCount: getConfiguredTapeCount(),
+    nondeterministic: isNondeterministicMode(),
+    ntmMaxDepth: getNtmMaxDepth(),
+    maxSteps: Number.isFinite(getConfiguredMaxSteps()) ? getConfiguredMaxSteps() : 0,
+    detectLoops: ui.detectLoops.checked,
+    tests: ui.tmTestCases.value,
+    testMaxSteps: getTmTestMaxSteps(),
+    breakpoints: {
+      states: [...tmBreakpoints.states].filter((name) => editor.nodes.has(name)),
+      transitions: [...tmBreakpoints.transitions],
+      conditions: ui.breakpointConditions.value,
+    },
+    firstTape,
+    viewport: { x: tmViewport.x, y: tmViewport.y },
+  };
+}
+
+function serializeSimpleWorkspace(editorData, fields) {
+  const form = {};
+  Object.entries(fields).forEach(([key, el]) => {
+    form[key] = el.value;
+  });
+  return {
+    form,
+    nodes: serializeNodes(editorData.nodes),
+    transitions: editorData.transitions.map((t) => ({
+      fromState: t.fromState,
+      toState: t.toState,
+      label: t.label,
+    })),
+    viewport: { x: editorData.viewX, y: editorData.viewY },
+  };
+}
+
+function faFormFields() {
+  return {
+    states: ui.faStates,
+    alphabet: ui.faAlphabet,
+    startState: ui.faStartState,
+    acceptStates: ui.faAcceptStates,
+    transitions: ui.faTransitions,
+    inputWord: ui.faInputWord,
+    batchWords: ui.faBatchWords,
+    regex: ui.faRegex,
+  };
+}
+
+function pdaFormFields() {
+  return {
+    states: ui.pdaStates,
+    startState: ui.pdaStartState,
+    acceptStates: ui.pdaAcceptStates,
+    initialStack: ui.pdaInitialStack,
+    acceptMode: ui.pdaAcceptMode,
+    transitions: ui.pdaTransitions,
+    inputWord: ui.pdaInputWord,
+    batchWords: ui.pdaBatchWords,
+  };
+}
+
+function serializeProject() {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    diagramConfig: { minNodeDistance: diagramConfig.minNodeDistance },
+    tm: serializeTmWorkspace(),
+    fa: serializeSimpleWorkspace(faGraphEditor, faFormFields()),
+    pda: serializeSimpleWorkspace(pdaGraphEditor, pdaFormFields()),
+    faB: Object.fromEntries(Object.entries(faSlotBFields()).map(([key, el]) => [key, el.value])),
+    cfg: { grammar: ui.cfgGrammar.value, word: ui.cfgWord.value },
+  };
+}
+
+// Valida la sección MT sin tocar el estado vivo; restoreTmWorkspace aplica el resultado.
+function parseTmWorkspace(data) {
+  if (!data || !Array.isArray(data.transitions)) {
+    throw new Error("Proyecto inválido: falta la sección MT.");
+  }
+  const nodes = new Map();
+  restoreNodes(nodes, data.nodes, "MT");
+  nodes.forEach((_, name) => ensureStateName(name));
+  const listOf = (value) => (Array.isArray(value) ? value.map((x) => String(x)) : []);
+  return {
+    data,
+    nodes,
+    transitions: restoreTmTransitions(data.transitions, nodes),
+    tapeCount: Math.max(Number.parseInt(data.tapeCount, 10) || 2, 1),
+    breakpointStates: listOf(data.breakpoints?.states),
+    breakpointTransitions: listOf(data.breakpoints?.transitions),
+    firstTape: listOf(data.firstTape),
+  };
+}
+
+function restoreTmWorkspace(parsed) {
+  const { data, nodes, transitions, tapeCount } = parsed;
+
+  stopRun();
+  editor.nodes = nodes;
+  editor.transitions = transitions;
+  editor.selectedState = null;
+  editor.selectedTransitionKey = null;
+  closeInlineTransitionEditor();
+  tmViewport.x = clamp(Number(data.viewport?.x) || 0, -WORLD_LIMIT, WORLD_LIMIT);
+  tmViewport.y = clamp(Number(data.viewport?.y) || 0, -WORLD_LIMIT, WORLD_LIMIT);
+
+  ui.tapeCount.value = String(tapeCount);
+  ui.ntmMode.checked = Boolean(data.nondeterministic);
+  ui.ntmMaxDepth.value = String(Math.max(Number.parseInt(data.ntmMaxDepth, 10) || 500, 1));
+  if (data.maxSteps !== undefined) {
+    ui.maxSteps.value = String(Math.max(Number.parseInt(data.maxSteps, 10) || 0, 0));
+  }
+  ui.detectLoops.checked = data.detectLoops !== false;
+  ui.tmTestCases.value = typeof data.tests === "string" ? data.tests : "";
+  ui.tmTestMaxSteps.value = String(Math.max(Number.parseInt(data.testMaxSteps, 10) || 10000, 1));
+  ui.tmTestSummary.textContent = "";
+  ui.tmTestResults.hidden = true;
+  tmBreakpoints.states = new Set(parsed.breakpointStates);
+  tmBreakpoints.transitions = new Set(parsed.breakpointTransitions);
+  ui.breakpointConditions.value = typeof data.breakpoints?.conditions === "string" ? data.breakpoints.conditions : "";
+  breakpointPause = null;
+  const firstTape = parsed.firstTape.length ? [{ name: "cinta1", symbols: parsed.firstTape }] : null;
+  renderInitialTapesEditor(tapeCount, firstTape);
+
+  refreshSelectedState();
+  refreshTransitionEditors();
+  refreshSelectedTransition();
+  setTransitionEditorLine("");
+  renderStateGraph();
+
+  machine = null;
+  setRunButtons(false);
+  refreshStatus();
+  renderTapes();
+}
+
+function parseSimpleWorkspace(data, fields, label) {
+  if (!data || !data.form || !Array.isArray(data.transitions)) {
+    throw new Error(`Proyecto inválido: falta la sección ${label}.`);
+  }
+  const nodes = new Map();
+  restoreNodes(nodes, data.nodes, label);
+  const transitions = data.transitions
+    .filter((t) => t && nodes.has(t.fromState) && nodes.has(t.toState))
+    .map((t) => ({ fromState: t.fromState, toState: t.toState, label: String(t.label ?? "") }));
+  const form = {};
+  Object.entries(fields).forEach(([key, el]) => {
+    const fallback = el.tagName === "SELECT" ? el.options[0].value : "";
+    form[key] = typeof data.form[key] === "string" ? data.form[key] : fallback;
+  });
+  return {
+    nodes,
+    transitions,
+    form,
+    viewX: clamp(Number(data.viewport?.x) || 0, -WORLD_LIMIT, WORLD_LIMIT),
+    viewY: clamp(Number(data.viewport?.y) || 0, -WORLD_LIMIT, WORLD_LIMIT),
+  };
+}
+
+function restoreSimpleWorkspace(parsed, editorData, fields) {
+  Object.entries(fields).forEach(([key, el]) => {
+    el.value = parsed.form[key];
+  });
+  editorData.nodes = parsed.nodes;
+  editorData.transitions = parsed.transitions;
+  editorData.selectedState = null;
+  editorData.selectedEdgeKey = null;
+  editorData.viewX = parsed.viewX;
+  editorData.viewY = parsed.viewY;
+}
+
+function applyProject(data) {
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error("El archivo no es un proyecto del laboratorio de autómatas.");
+  }
+  if (!Number.isInteger(data.version) || data.version > PROJECT_VERSION) {
+    throw new Error(`Versión de proyecto no soportada: ${data.version}.`);
+  }
+
+  // Se validan todas las secciones antes de reemplazar nada, para no dejar un espacio de trabajo mezclado.
+  const tm = parseTmWorkspace(data.tm);
+  const fa = parseSimpleWorkspace(data.fa, faFormFields(), "AF");
+  const pda = parseSimpleWorkspace(data.pda, pdaFormFields(), "PDA");
+
+  const minDistance = Number.parseInt(data.diagramConfig?.minNodeDistance, 10);
+  diagramConfig.minNodeDistance = clamp(Number.isFinite(minDistance) ? minDistance : 90, 68, 5000);
+  ui.diagramMinDistance.value = String(diagramConfig.minNodeDistance);
+
+  restoreTmWorkspace(tm);
+  restoreSimpleWorkspace(fa, faGraphEditor, faFormFields());
+  restoreSimpleWorkspace(pda, pdaGraphEditor, pdaFormFields());
+  Object.entries(faSlotBFields()).forEach(([key, el]) => {
+    if (typeof data.faB?.[key] === "string") el.value = data.faB[key];
+  });
+  if (typeof data.cfg?.grammar === "string") {
+    ui.cfgGrammar.value = data.cfg.grammar;
+  }
+  if (typeof data.cfg?.word === "string") {
+    ui.cfgWord.value = data.cfg.word;
+  }
+  clearHistory();
+
+  ui.faResult.textContent = "-";
+  ui.faMessage.textContent = "Proyecto cargado.";
+  invalidateFaResultsForA();
+  ui.pdaResult.textContent = "-";
+  ui.pdaMessage.textContent = "Proyecto cargado.";
+  renderSimpleGraph(ui.faGraph, faGraphEditor, ui.faSelectedState);
+  renderSimpleGraph(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState);
+}
+
+function downloadProject() {
+  const json = JSON.stringify(serializeProject(), null, 2);
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "proyecto-automatas.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  message("Proyecto descargado.", "ok");
+}
+
+function openProjectFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.addEventListener("load", () => {
+    try {
+      const data = JSON.parse(String(reader.result));
+      applyProject(data);
+      message(`Proyecto "${file.name}" cargado.`, "ok");
+    } catch (err) {
+      const text = err instanceof SyntaxError ? "El archivo no contiene JSON válido." : err.message;
+      message(text, "err");
+    }
+  });
+  reader.addEventListener("error", () => {
+    message("No se pudo leer el archivo.", "err");
+  });
+  reader.readAsText(file);
+}
+
+function readStoredJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeStoredJSON(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readAutosaveHistory() {
+  const history = readStoredJSON(AUTOSAVE_HISTORY_KEY, []);
+  return Array.isArray(history) ? history.filter((entry) => entry && entry.project) : [];
+}
+
+function scheduleAutosave() {
+  if (!autosave.enabled) return;
+  if (autosave.timer) {
+    clearTimeout(autosave.timer);
+  }
+  autosave.timer = setTimeout(() => {
+    autosave.timer = null;
+    saveAutosaveNow();
+  }, AUTOSAVE_DELAY_MS);
+}
+
+function serializeProjectContent(project) {
+  const { savedAt, ...content } = project;
+  return JSON.stringify(content);
+}
+
+function saveAutosaveNow() {
+  const project = serializeProject();
+  const serialized = serializeProjectContent(project);
+  if (autosave.lastSerialized === null) {
+    const latest = readAutosaveHistory()[0];
+    autosave.lastSerialized = latest ? serializeProjectContent(latest.project) : "";
+  }
+  if (serialized === autosave.lastSerialized) {
+    return;
+  }
+  autosave.lastSerialized = serialized;
+  writeStoredJSON(AUTOSAVE_KEY, project);
+
+  const history = readAutosaveHistory();
+  history.unshift({ savedAt: project.savedAt, project });
+  // Si el almacenamiento se llena, descarta las instantáneas más antiguas.
+  let kept = history.slice(0, AUTOSAVE_HISTORY_LIMIT);
+  while (kept.length && !writeStoredJSON(AUTOSAVE_HISTORY_KEY, kept)) {
+    kept = kept.slice(0, -1);
+  }
+}
+
+function restoreAutosave() {
+  const project = readStoredJSON(AUTOSAVE_KEY, null);
+  if (!project) {
+    return false;
+  }
+  try {
+    applyProject(project);
+    const when = project.savedAt ? new Date(project.savedAt).toLocaleString("es") : "";
+    message(`Sesión recuperada del guardado automático${when ? ` (${when})` : ""}.`, "ok");
+    return true;
+  } catch (err) {
+    message(`No se pudo recuperar el guardado automático: ${err.message}`, "warn");
+    return false;
+  }
+}
+
+function summarizeProject(project) {
+  const count = (section) => (Array.isArray(section?.nodes) ? section.nodes.length : 0);
+  return `MT ${count(project.tm)} estados · AF ${count(project.fa)} · PDA ${count(project.pda)}`;
+}
+
+function renderAutosaveHistory() {
+  const history = readAutosaveHistory();
+  ui.autosaveList.innerHTML = "";
+  if (!history.length) {
+    const empty = document.createElement("li");
+    empty.textContent = "Todavía no hay guardados automáticos.";
+    ui.autosaveList.appendChild(empty);
+    return;
+  }
+
+  history.forEach((entry, idx) => {
+    const item = document.createElement("li");
+    const text = document.createElement("span");
+    const when = entry.savedAt ? new Date(entry.savedAt).toLocaleString("es") : "(sin fecha)";
+    text.textContent = `${idx === 0 ? "Actual · " : ""}${when} — ${summarizeProject(entry.project)}`;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "Restaurar";
+    button.addEventListener("click", () => {
+      try {
+        applyProject(entry.project);
+        closeDialog(ui.autosaveDialog);
+        message(`Guardado automático del ${when} restaurado.`, "ok");
+      } catch (err) {
+        message(err.message, "err");
+      }
+    });
+    item.appendChild(text);
+    item.appendChild(button);
+    ui.autosaveList.appendChild(item);
+  });
+}
+
 ui.addState.addEventListener("click", () => {
   try {
     addState(generateStateName(), GRAPH_WIDTH / 2, GRAPH_HEIGHT / 2);
@@ -2998,6 +7109,8 @@ ui.addState.addEventListener("click", () => {
 
 ui.setStart.addEventListener("click", setStartState);
 ui.toggleAccept.addEventListener("click", toggleAcceptState);
+ui.toggleReject.addEventListener("click", toggleRejectState);
+ui.toggleBreakpoint.addEventListener("click", toggleBreakpoint);
 ui.deleteState.addEventListener("click", deleteSelectedState);
 
 ui.stateGraph.addEventListener("pointerdown", onGraphPointerDown);
@@ -3007,6 +7120,7 @@ ui.stateGraph.addEventListener("dblclick", onGraphDoubleClick);
 ui.stateGraph.addEventListener("keydown", onGraphKeyDown);
 
 ui.initialize.addEventListener("click", initializeMachine);
+ui.runTmTests.addEventListener("click", runTmTests);
 ui.reset.addEventListener("click", resetMachine);
 ui.saveTransition.addEventListener("click", saveTransitionFromEditor);
 ui.deleteTransition.addEventListener("click", deleteSelectedTransition);
@@ -3045,6 +7159,7 @@ ui.transitionInput.addEventListener("keydown", (event) => {
 });
 ui.transitionsPreview.addEventListener("change", importTransitionsFromPreview);
 ui.tapeCount.addEventListener("change", () => {
+  const before = captureWorkspaceForHistory("tm");
   const previous = (() => {
     try {
       return readInitialTapesFromEditor();
@@ -3056,10 +7171,21 @@ ui.tapeCount.addEventListener("change", () => {
   ui.tapeCount.value = String(nextCount);
   renderInitialTapesEditor(nextCount, previous);
   autoAdjustTransitionsToTapeCount(nextCount);
+  commitHistory("tm", "Cambiar cantidad de cintas", before);
   refreshTransitionEditors();
 });
 ui.step.addEventListener("click", executeStep);
+ui.stepBack.addEventListener("click", executeStepBack);
+ui.timeline.addEventListener("input", () => jumpToStep(ui.timeline.value));
+ui.gotoStepButton.addEventListener("click", () => jumpToStep(ui.gotoStep.value));
+ui.gotoStep.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    jumpToStep(ui.gotoStep.value);
+  }
+});
 ui.run.addEventListener("click", runMachine);
+ui.runToEnd.addEventListener("click", runToCompletion);
 ui.pause.addEventListener("click", () => {
   stopRun();
   message("Ejecución en pausa.", "warn");
@@ -3072,6 +7198,46 @@ ui.speed.addEventListener("input", () => {
   }
 });
 ui.loadExample.addEventListener("click", loadExample);
+ui.undo.addEventListener("click", () => undoHistory("tm"));
+ui.redo.addEventListener("click", () => redoHistory("tm"));
+ui.faUndo.addEventListener("click", () => undoHistory("fa"));
+ui.faRedo.addEventListener("click", () => redoHistory("fa"));
+ui.pdaUndo.addEventListener("click", () => undoHistory("pda"));
+ui.pdaRedo.addEventListener("click", () => redoHistory("pda"));
+document.addEventListener("keydown", (event) => {
+  if (!(event.ctrlKey || event.metaKey) || isEditableElement(event.target)) {
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (!editHistory[activeView]) {
+    return;
+  }
+  if (key === "z" && !event.shiftKey) {
+    undoHistory(activeView);
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    redoHistory(activeView);
+  } else {
+    return;
+  }
+  event.preventDefault();
+});
+ui.saveProject.addEventListener("click", downloadProject);
+ui.openProject.addEventListener("click", () => {
+  ui.projectFileInput.value = "";
+  ui.projectFileInput.click();
+});
+ui.projectFileInput.addEventListener("change", () => {
+  openProjectFile(ui.projectFileInput.files[0]);
+});
+ui.openAutosaveHistory.addEventListener("click", () => {
+  renderAutosaveHistory();
+  openDialog(ui.autosaveDialog);
+});
+ui.autosaveClose.addEventListener("click", () => {
+  closeDialog(ui.autosaveDialog);
+});
+document.addEventListener("input", scheduleAutosave);
+document.addEventListener("change", scheduleAutosave);
 ui.openDiagramConfig.addEventListener("click", () => {
   ui.diagramMinDistance.value = String(diagramConfig.minNodeDistance);
   openDialog(ui.diagramConfigDialog);
@@ -3094,31 +7260,93 @@ ui.diagramConfigSave.addEventListener("click", () => {
 ui.tabTM.addEventListener("click", () => switchView("tm"));
 ui.tabFA.addEventListener("click", () => switchView("fa"));
 ui.tabPDA.addEventListener("click", () => switchView("pda"));
+ui.tabCFG.addEventListener("click", () => switchView("cfg"));
+ui.cfgToCnf.addEventListener("click", handleGrammarToCnf);
+ui.cfgCyk.addEventListener("click", handleCykMembership);
 ui.faLoadExample.addEventListener("click", loadFaExample);
 ui.faEvaluate.addEventListener("click", handleFaEvaluate);
+ui.faTrace.addEventListener("click", (event) => {
+  const row = event.target.closest("tbody tr");
+  if (row) {
+    highlightFaTrace(Number(row.dataset.index));
+  }
+});
+ui.faBatchEvaluate.addEventListener("click", handleFaBatchEvaluate);
 ui.faMinimize.addEventListener("click", handleFaMinimize);
+ui.faRegexToNfa.addEventListener("click", handleRegexToNfa);
+ui.faLoadDfa.addEventListener("click", () => handleFaLoadPipeline("dfa"));
+ui.faCopyToB.addEventListener("click", handleFaCopyToB);
+[ui.faStates, ui.faAlphabet, ui.faStartState, ui.faAcceptStates, ui.faTransitions].forEach((el) => {
+  el.addEventListener("input", invalidateFaResultsForA);
+});
+Object.values(faSlotBFields()).forEach((el) => {
+  el.addEventListener("input", clearFaBooleanResult);
+});
+ui.faUnion.addEventListener("click", () => handleFaBooleanOperation("union"));
+ui.faIntersection.addEventListener("click", () => handleFaBooleanOperation("intersection"));
+ui.faComplement.addEventListener("click", () => handleFaBooleanOperation("complement"));
+ui.faDifference.addEventListener("click", () => handleFaBooleanOperation("difference"));
+ui.faLoadBoolean.addEventListener("click", handleFaLoadBoolean);
+ui.faEquivalence.addEventListener("click", handleFaEquivalence);
+ui.faAnalyze.addEventListener("click", handleFaAnalyze);
+ui.faCompleteDfa.addEventListener("click", handleFaCompleteDfa);
+ui.faShowDeltaTable.addEventListener("click", handleFaDeltaTable);
+ui.faDeltaCopyMarkdown.addEventListener("click", () => copyFaDeltaTable("markdown"));
+ui.faDeltaCopyCsv.addEventListener("click", () => copyFaDeltaTable("csv"));
+ui.faLoadMinimized.addEventListener("click", () => handleFaLoadPipeline("minimized"));
+ui.faToRegex.addEventListener("click", handleFaToRegex);
+ui.faStepStart.addEventListener("click", startFaStepper);
+ui.faStepBack.addEventListener("click", stepBackFaStepper);
+ui.faStepNext.addEventListener("click", stepFaStepper);
+ui.faStepStop.addEventListener("click", stopFaStepper);
 ui.faAddState.addEventListener("click", () => editorAddState(faGraphEditor, "q", "fa"));
 ui.faSetStart.addEventListener("click", () => editorSetStart(faGraphEditor, "fa"));
 ui.faToggleAccept.addEventListener("click", () => editorToggleAccept(faGraphEditor, "fa"));
 ui.faDeleteState.addEventListener("click", () => editorDeleteState(faGraphEditor, "fa"));
-ui.faLoadGraphFromText.addEventListener("click", loadFaGraphFromForm);
+ui.faLoadGraphFromText.addEventListener("click", () => loadFaGraphFromForm());
 ui.pdaLoadExample.addEventListener("click", loadPdaExample);
 ui.pdaEvaluate.addEventListener("click", handlePdaEvaluate);
+ui.cfgToPda.addEventListener("click", handleGrammarToPda);
+ui.pdaToCfg.addEventListener("click", handlePdaToGrammar);
+ui.pdaToEmptyStack.addEventListener("click", () => handlePdaConvertAcceptMode("empty"));
+ui.pdaToFinalState.addEventListener("click", () => handlePdaConvertAcceptMode("final"));
+ui.pdaTrace.addEventListener("click", (event) => {
+  const row = event.target.closest("tbody tr");
+  if (row) {
+    highlightPdaTrace(Number(row.dataset.index));
+  }
+});
+ui.pdaDebugStart.addEventListener("click", startPdaDebugger);
+ui.pdaDebugBack.addEventListener("click", stepBackPdaDebugger);
+ui.pdaDebugStep.addEventListener("click", stepPdaDebugger);
+ui.pdaDebugStop.addEventListener("click", stopPdaDebugger);
+ui.pdaConfigTree.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-config-id]");
+  if (button) {
+    selectPdaConfig(Number(button.dataset.configId));
+  }
+});
+ui.pdaBatchEvaluate.addEventListener("click", handlePdaBatchEvaluate);
 ui.pdaAddState.addEventListener("click", () => editorAddState(pdaGraphEditor, "p", "pda"));
 ui.pdaSetStart.addEventListener("click", () => editorSetStart(pdaGraphEditor, "pda"));
 ui.pdaToggleAccept.addEventListener("click", () => editorToggleAccept(pdaGraphEditor, "pda"));
 ui.pdaDeleteState.addEventListener("click", () => editorDeleteState(pdaGraphEditor, "pda"));
-ui.pdaLoadGraphFromText.addEventListener("click", loadPdaGraphFromForm);
+ui.pdaLoadGraphFromText.addEventListener("click", () => loadPdaGraphFromForm());
 
 setRunButtons(false);
 refreshSelectedState();
 refreshSelectedTransition();
 ui.diagramMinDistance.value = String(diagramConfig.minNodeDistance);
-loadExample();
-loadFaExample();
-loadPdaExample();
 bindSimpleGraphEditor(ui.faGraph, faGraphEditor, ui.faSelectedState, { prefix: "q", kind: "fa" });
 bindSimpleGraphEditor(ui.pdaGraph, pdaGraphEditor, ui.pdaSelectedState, { prefix: "p", kind: "pda" });
-loadFaGraphFromForm();
-loadPdaGraphFromForm();
+if (!restoreAutosave()) {
+  loadExample();
+  loadFaExample();
+  loadPdaExample();
+  loadFaGraphFromForm();
+  loadPdaGraphFromForm();
+}
+clearHistory();
+autosave.enabled = true;
+saveAutosaveNow();
 switchView("tm");